@@ -1,6 +1,8 @@
 import globals from "globals";
 
 export default [{
+    ignores: ["media/vendor/**"],
+}, {
     files: ["**/*.js"],
     languageOptions: {
         globals: {
@@ -2,6 +2,8 @@
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
 const fs = require('fs'); // Import the 'fs' module
+const path = require('path');
+const crypto = require('crypto');
 
 // Constants for workspace state keys
 const OLLAMA_PARTIAL_RESPONSE = 'ollamaPartialResponse';
@@ -9,17 +11,49 @@ const OLLAMA_CHAT_HISTORY = 'ollamaChatHistory';
 const OLLAMA_SELECTED_MODEL = 'ollamaSelectedModel';
 const VSWIZARD_SESSIONS = 'vswizardSessions';
 const VSWIZARD_CURRENT_SESSION_ID = 'vswizardCurrentSessionId';
+const DEFAULT_SESSION_NAME = 'New Session'; // placeholder until a title is generated
 
 // Add new constants for OpenAI
 const OPENAI_API_KEY = 'openaiApiKey';
 const OPENAI_API_ENDPOINT = 'openaiApiEndpoint';
 const OPENAI_SELECTED_MODEL = 'openaiSelectedModel';
 const OPENAI_TEMPERATURE = 'openaiTemperature';
-const VSWIZARD_PROVIDER = 'vswizardProvider'; // 'ollama' or 'openai'
+const VSWIZARD_PROVIDER = 'vswizardProvider'; // id of a registered provider, e.g. 'ollama' or 'openai'
+const VSWIZARD_AGENT_MODE = 'vswizardAgentMode';
+const VSWIZARD_COMPARE_MODE = 'vswizardCompareMode';
+const VSWIZARD_COMPARE_MODELS = 'vswizardCompareModels'; // [{provider, model}] answering in compare mode
+const VSWIZARD_USAGE = 'vswizardUsage'; // usage ledger (globalState): one record per request, daily totals for earlier months
+const VSWIZARD_PROFILES = 'vswizardProfiles'; // connection profiles (globalState and workspaceState)
+const VSWIZARD_ACTIVE_PROFILE = 'vswizardActiveProfile';
+
+// Scheme for read-only virtual documents holding proposed file contents (used by diff previews)
+const PROPOSED_CONTENT_SCHEME = 'vswizard-proposed';
 
 // Add a constant for the default OpenAI model
 const DEFAULT_OPENAI_MODEL = 'gpt-4.1-mini';
 
+// Anthropic Messages API
+const ANTHROPIC_API_KEY = 'anthropicApiKey';
+const ANTHROPIC_API_ENDPOINT = 'anthropicApiEndpoint';
+const ANTHROPIC_SELECTED_MODEL = 'anthropicSelectedModel';
+const ANTHROPIC_MAX_TOKENS = 'anthropicMaxTokens';
+const DEFAULT_ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// Azure OpenAI (deployment-based URLs)
+const AZURE_OPENAI_ENDPOINT = 'azureOpenaiEndpoint';
+const AZURE_OPENAI_DEPLOYMENT = 'azureOpenaiDeployment';
+const AZURE_OPENAI_API_VERSION = 'azureOpenaiApiVersion';
+const AZURE_OPENAI_API_KEY = 'azureOpenaiApiKey';
+const AZURE_OPENAI_CONTEXT_LENGTH = 'azureOpenaiContextLength';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// llama.cpp server / LM Studio (OpenAI-compatible local servers)
+const LLAMACPP_URL = 'llamacppUrl';
+const LLAMACPP_SELECTED_MODEL = 'llamacppSelectedModel';
+const DEFAULT_LLAMACPP_URL = 'http://localhost:8080';
+
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 
@@ -27,6 +61,14 @@ const DEFAULT_OPENAI_MODEL = 'gpt-4.1-mini';
  * @param {vscode.ExtensionContext} context
  */
 let chatViewProviderInstance = null;
+let workspaceIndex = null;
+let profileManager = null;
+let sessionTreeProvider = null;
+let promptLibrary = null;
+let projectInstructions = null;
+let terminalTracker = null;
+let usageDashboard = null;
+let usageState = null; // globalState, so spend is counted across workspaces
 
 function getSessions(workspaceState) {
 	return workspaceState.get(VSWIZARD_SESSIONS, []);
@@ -34,6 +76,7 @@ function getSessions(workspaceState) {
 
 function saveSessions(workspaceState, sessions) {
 	workspaceState.update(VSWIZARD_SESSIONS, sessions);
+	if (sessionTreeProvider) sessionTreeProvider.refresh();
 }
 
 function getCurrentSession(workspaceState) {
@@ -44,17 +87,25 @@ function getCurrentSession(workspaceState) {
 
 function setCurrentSession(workspaceState, sessionId) {
 	workspaceState.update(VSWIZARD_CURRENT_SESSION_ID, sessionId);
+	postSessionPrompt(chatViewProviderInstance);
 }
 
 function loadCurrentSessionId(workspaceState) {
 	// Deprecated: currentSessionId is now stored in workspaceState only
 }
 
-async function generateSessionName(ollamaUrl, history, model) {
-	// Use /api/chat with structured messages; no "User:"/"Bot:" textual prefixes
+/**
+ * Ask the selected provider for a short session title.
+ * @param {vscode.Memento} workspaceState
+ * @param {Array<{text: string, sender: string}>} history
+ * @returns {Promise<string>}
+ */
+async function generateSessionName(workspaceState, history) {
+	// Structured messages; no "User:"/"Bot:" textual prefixes. Long messages (attached files) are cut.
+	/** @type {ChatMessage[]} */
 	const messages = history.map(m => ({
 		role: m.sender === 'user' ? 'user' : 'assistant',
-		content: m.text
+		content: m.text.length > 2000 ? m.text.slice(0, 2000) : m.text
 	}));
 	// Append summarization request as the final user message
 	messages.push({
@@ -62,33 +113,10 @@ async function generateSessionName(ollamaUrl, history, model) {
 		content: 'Summarize this chat in a short title (max 30 chars). Respond with title only, no quotes or trailing punctuation.'
 	});
 
-	const requestBody = {
-		model: model,
-		messages,
-		stream: false
-	};
-
-	const response = await fetch(`${ollamaUrl}/api/chat`, {
-		method: 'POST',
-		headers: { 'Content-Type': 'application/json' },
-		body: JSON.stringify(requestBody)
-	});
-	if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-	const data = await response.json();
-	let name = '';
-	if (typeof data === 'object' && data !== null) {
-		// Cast to any for flexible response shape from Ollama /api/chat
-		const anyData = /** @type {any} */ (data);
-		if (anyData.message && typeof anyData.message.content === 'string') {
-			name = String(anyData.message.content).trim();
-		} else if (typeof anyData.response === 'string') {
-			// Fallback for older /api/generate-style responses
-			name = anyData.response.trim();
-		} else if (typeof anyData.text === 'string') {
-			name = anyData.text.trim();
-		}
-	}
+	const result = await requestChat(getActiveProvider(workspaceState), workspaceState, messages, {}, 'title');
+	// <think> blocks of reasoning models are already split off by requestChat
+	let name = result.content.trim().split('\n')[0].trim();
+	name = name.replace(/^["'`]+|["'`.]+$/g, '').trim();
 	if (name.length > 30) name = name.slice(0, 30);
 	return name || 'Untitled Session';
 }
@@ -133,41 +161,189 @@ function activate(context) {
 	});
 	context.subscriptions.push(setOllamaUrlCommand);
 
+	// Connection profiles; API keys saved by older versions move into SecretStorage
+	profileManager = new ProfileManager(context);
+	profileManager.migrateLegacySettings()
+		.then(migrated => {
+			if (migrated.length) {
+				vscode.window.showInformationMessage(`VSWizard moved your saved API settings into the connection profile${migrated.length > 1 ? 's' : ''} ${migrated.map(n => `"${n}"`).join(', ')}.`);
+			}
+			if (chatViewProviderInstance) {
+				postModelInfo(chatViewProviderInstance);
+				postProfiles(chatViewProviderInstance);
+			}
+		})
+		.catch(err => console.error('Failed to migrate provider settings:', err));
+
+	// Virtual documents used as the right-hand side of proposed-edit diffs
+	context.subscriptions.push(
+		vscode.workspace.registerTextDocumentContentProvider(PROPOSED_CONTENT_SCHEME, proposedContentProvider)
+	);
+
+	// Command: Toggle agent mode (tool calls against the workspace)
+	const toggleAgentModeCommand = vscode.commands.registerCommand('vswizard.toggleAgentMode', async function () {
+		const enabled = !context.workspaceState.get(VSWIZARD_AGENT_MODE, false);
+		await context.workspaceState.update(VSWIZARD_AGENT_MODE, enabled);
+		chatViewProviderInstance?._webviewView?.webview.postMessage({ command: 'setAgentMode', enabled });
+		vscode.window.showInformationMessage(`VSWizard agent mode ${enabled ? 'enabled' : 'disabled'}.`);
+	});
+	context.subscriptions.push(toggleAgentModeCommand);
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.toggleReasoningInPrompt', function () {
+		return toggleReasoningInPrompt(context.workspaceState);
+	}));
+
+	// Project instructions from .vswizard/instructions.md, sent as the system prompt
+	projectInstructions = new ProjectInstructions();
+	projectInstructions.load().catch(err => console.error('Failed to load project instructions:', err));
+	context.subscriptions.push(projectInstructions.watch());
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.editSessionSystemPrompt', async function (arg) {
+		const session = arg ? await resolveSessionArg(context.workspaceState, arg, 'Select a chat session') : undefined;
+		if (arg && !session) return;
+		await editSessionSystemPrompt(context.workspaceState, session);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.showSystemPrompt', function () {
+		return showSystemPrompt(context.workspaceState);
+	}));
+
+	// Terminal output as chat context (needs shell integration) and "Run in Terminal"
+	terminalTracker = new TerminalTracker();
+	context.subscriptions.push(terminalTracker.register());
+
+	// Slash command templates from .vswizard/prompts
+	promptLibrary = new PromptLibrary();
+	promptLibrary.load().catch(err => console.error('Failed to load prompt templates:', err));
+	context.subscriptions.push(promptLibrary.watch());
+	context.subscriptions.push(promptLibrary.onDidChange(() => {
+		if (chatViewProviderInstance) postSlashCommands(chatViewProviderInstance);
+	}));
+
+	// Workspace retrieval index (embeddings), loaded lazily and kept current by a file watcher
+	workspaceIndex = new WorkspaceIndex(context);
+	workspaceIndex.load().catch(err => console.error('Failed to load workspace index:', err));
+	context.subscriptions.push(workspaceIndex.watch());
+
+	const rebuildIndexCommand = vscode.commands.registerCommand('vswizard.rebuildIndex', async function () {
+		try {
+			await workspaceIndex.build(true);
+			vscode.window.showInformationMessage('VSWizard workspace index rebuilt.');
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error building workspace index: ${error.message}`);
+		}
+	});
+	context.subscriptions.push(rebuildIndexCommand);
+
+	// Inline ghost-text completions from a local Ollama model, with a status bar toggle
+	context.subscriptions.push(
+		vscode.languages.registerInlineCompletionItemProvider({ pattern: '**' }, new OllamaInlineCompletionProvider())
+	);
+	const completionStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+	completionStatusBarItem.command = 'vswizard.toggleCompletion';
+	updateCompletionStatusBar(completionStatusBarItem);
+	completionStatusBarItem.show();
+	context.subscriptions.push(completionStatusBarItem);
+	context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+		if (e.affectsConfiguration('vswizard.completion')) updateCompletionStatusBar(completionStatusBarItem);
+	}));
+
+	const toggleCompletionCommand = vscode.commands.registerCommand('vswizard.toggleCompletion', async function () {
+		const config = vscode.workspace.getConfiguration('vswizard.completion');
+		await config.update('enabled', !config.get('enabled', false), vscode.ConfigurationTarget.Global);
+		updateCompletionStatusBar(completionStatusBarItem);
+	});
+	context.subscriptions.push(toggleCompletionCommand);
+
 	// Register the chat view provider
 	chatViewProviderInstance = new ChatViewProvider(context.extensionUri, context.workspaceState);
 	context.subscriptions.push(
 		vscode.window.registerWebviewViewProvider('vswizard-chat', chatViewProviderInstance)
 	);
 
+	// Editor code actions (lightbulb and context menu) that send the selection to the chat
+	context.subscriptions.push(
+		vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, new VSWizardCodeActionProvider(), {
+			providedCodeActionKinds: VSWizardCodeActionProvider.providedKinds
+		})
+	);
+	for (const action of CODE_ACTION_COMMANDS) {
+		context.subscriptions.push(vscode.commands.registerCommand(action.command, async function (uri, range) {
+			await runCodeAction(context.workspaceState, action, uri instanceof vscode.Uri ? uri : undefined, range instanceof vscode.Range ? range : undefined);
+		}));
+	}
+
+	// Quick fix for a diagnostic (from the lightbulb, or the problems at the cursor)
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.fixDiagnostic', async function (uri, diagnostic) {
+		const editor = vscode.window.activeTextEditor;
+		const document = uri instanceof vscode.Uri ? await vscode.workspace.openTextDocument(uri) : editor && editor.document;
+		if (!document) return;
+		if (!(diagnostic instanceof vscode.Diagnostic)) {
+			const position = editor ? editor.selection.active : new vscode.Position(0, 0);
+			const diagnostics = getFixableDiagnostics(document.uri);
+			diagnostic = diagnostics.find(d => d.range.contains(position)) || diagnostics.find(d => d.range.start.line === position.line);
+			if (!diagnostic) {
+				vscode.window.showInformationMessage('No error or warning at the cursor.');
+				return;
+			}
+		}
+		try {
+			await fixDiagnostic(context.workspaceState, document, diagnostic);
+		} catch (error) {
+			if (error.name !== 'AbortError') vscode.window.showErrorMessage(`VSWizard: ${error.message}`);
+		}
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.fixAllProblems', async function (uri) {
+		const editor = vscode.window.activeTextEditor;
+		const document = uri instanceof vscode.Uri ? await vscode.workspace.openTextDocument(uri) : editor && editor.document;
+		if (!document) {
+			vscode.window.showInformationMessage('Open a file with problems first.');
+			return;
+		}
+		await fixAllProblems(context.workspaceState, document);
+	}));
+
+	// Git: commit message into the Source Control input box, review of the staged diff in the chat
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.generateCommitMessage', async function (sourceControl) {
+		try {
+			await generateCommitMessage(context.workspaceState, sourceControl);
+		} catch (error) {
+			if (error.name !== 'AbortError') vscode.window.showErrorMessage(`VSWizard: ${error.message}`);
+		}
+	}));
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.reviewStagedChanges', async function (sourceControl) {
+		try {
+			await reviewStagedChanges(context.workspaceState, sourceControl);
+		} catch (error) {
+			vscode.window.showErrorMessage(`VSWizard: ${error.message}`);
+		}
+	}));
+
 	const listModelsCommand = vscode.commands.registerCommand('vswizard.listModels', async function () {
-		const ollamaUrl = vscode.workspace.getConfiguration().get('vswizard.ollamaUrl') || 'http://localhost:11434';
+		const provider = getActiveProvider(context.workspaceState);
 		try {
-			const models = await listOllamaModels(ollamaUrl);
+			const models = await provider.listModels(context.workspaceState);
 			if (models && models.length > 0) {
-				const modelDisplayNames = models.map(model => `${model.name} (context window: ${model.context_length})`);
-				vscode.window.showQuickPick(modelDisplayNames, {
-					placeHolder: 'Select an Ollama model'
-				}).then(selectedDisplayName => {
-					if (selectedDisplayName) {
-						// Extract model name from display string
-						const selectedModelName = selectedDisplayName.split(' ')[0];
-						const selectedModel = models.find(model => model.name === selectedModelName);
-						if (selectedModel) {
-							context.workspaceState.update(OLLAMA_SELECTED_MODEL, selectedModel);
-							vscode.window.showInformationMessage(`Selected model: ${selectedModel.name}`);
-							// Inform the webview about the selected model's multimodal capability and name
-							if (chatViewProviderInstance && chatViewProviderInstance._webviewView) {
-								chatViewProviderInstance._webviewView.webview.postMessage({ command: 'setMultimodal', multimodal: selectedModel.multimodal });
-								chatViewProviderInstance._webviewView.webview.postMessage({ command: 'setModelName', modelName: selectedModel.name });
-							}
-						}
-					}
+				const picks = models.map(model => ({
+					label: model.name,
+					description: model.context_length ? `context window: ${model.context_length}` : '',
+					model
+				}));
+				const picked = await vscode.window.showQuickPick(picks, {
+					placeHolder: `Select a ${provider.label} model`
 				});
+				if (picked) {
+					await provider.selectModel(context.workspaceState, picked.model);
+					vscode.window.showInformationMessage(`Selected model: ${picked.model.name}`);
+					// Inform the webview about the selected model's multimodal capability and name
+					if (chatViewProviderInstance) postModelInfo(chatViewProviderInstance);
+				}
 			} else {
-				vscode.window.showInformationMessage('No Ollama models found.');
+				vscode.window.showInformationMessage(`No ${provider.label} models found.`);
 			}
 		} catch (error) {
-			vscode.window.showErrorMessage(`Error listing Ollama models: ${error.message}`);
+			vscode.window.showErrorMessage(`Error listing ${provider.label} models: ${error.message}`);
 		}
 	});
 
@@ -195,18 +371,12 @@ function activate(context) {
 	context.subscriptions.push(clearLLMSelectionCommand);
 
 	loadCurrentSessionId(context.workspaceState);
+	// A reply that was streaming when the window closed
+	recoverPartialResponse(context.workspaceState);
 
 	// New Session command
 	const newSessionCommand = vscode.commands.registerCommand('vswizard.newSession', async function () {
-		const ollamaUrl = vscode.workspace.getConfiguration().get('vswizard.ollamaUrl') || 'http://localhost:11434';
-		const selectedModel = context.workspaceState.get(OLLAMA_SELECTED_MODEL);
-		const model = selectedModel ? selectedModel.name : 'llama2';
-		const sessions = getSessions(context.workspaceState);
-		const newId = 'session-' + Date.now();
-		const newSession = { id: newId, name: 'New Session', history: [] };
-		sessions.push(newSession);
-		saveSessions(context.workspaceState, sessions);
-		setCurrentSession(context.workspaceState, newId);
+		createSession(context.workspaceState);
 		context.workspaceState.update(OLLAMA_CHAT_HISTORY, []);
 		if (chatViewProviderInstance) {
 			chatViewProviderInstance._chatHistory = [];
@@ -223,28 +393,9 @@ function activate(context) {
 	// List History command
 	const listHistoryCommand = vscode.commands.registerCommand('vswizard.listHistory', async function () {
 		try {
-			const sessions = getSessions(context.workspaceState);
-			if (!sessions.length) {
-				vscode.window.showInformationMessage('No chat sessions found.');
-				return;
-			}
-			const picks = sessions.slice().reverse().map(s => ({ label: s.name, id: s.id }));
-			const selected = await vscode.window.showQuickPick(picks.map(p => p.label), { placeHolder: 'Select a chat session to load' });
-			if (selected) {
-				const session = sessions.find(s => s.name === selected);
-				if (session) {
-					setCurrentSession(context.workspaceState, session.id);
-					context.workspaceState.update(OLLAMA_CHAT_HISTORY, session.history);
-					if (chatViewProviderInstance) {
-						chatViewProviderInstance._chatHistory = session.history;
-					}
-					if (chatViewProviderInstance?._webviewView) {
-						chatViewProviderInstance._webviewView.webview.postMessage({ command: 'loadHistory', history: session.history });
-						chatViewProviderInstance._webviewView.webview.postMessage({ command: 'resetInput' });
-					}
-					// Also update the local chatHistory variable in the webview provider to avoid stale history
-					chatViewProviderInstance._chatHistory = session.history;
-				}
+			const session = await resolveSessionArg(context.workspaceState, undefined, 'Select a chat session to load');
+			if (session) {
+				await openSession(context.workspaceState, session.id);
 				vscode.window.showInformationMessage(`Loaded session: ${session.name}`);
 			}
 		} catch (error) {
@@ -254,76 +405,551 @@ function activate(context) {
 	});
 	context.subscriptions.push(listHistoryCommand);
 
-	// Command: Select Provider (Ollama or OpenAI)
+	// Usage dashboard (tokens, latency, estimated cost)
+	usageState = context.globalState;
+	migrateUsageLedger(context.workspaceState).catch(err => console.error('Failed to move the usage ledger to global state:', err));
+	usageDashboard = new UsageDashboard(context);
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.showUsage', function () {
+		usageDashboard.show();
+	}));
+
+	// Ollama model manager view
+	registerModelManager(context);
+
+	// Session manager tree view
+	sessionTreeProvider = new SessionTreeProvider(context.workspaceState);
+	context.subscriptions.push(vscode.window.registerTreeDataProvider('vswizard-sessions', sessionTreeProvider));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.openSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to open');
+		if (session) await openSession(context.workspaceState, session.id);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.renameSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to rename');
+		if (!session) return;
+		const name = await vscode.window.showInputBox({ prompt: 'Session name', value: session.name, ignoreFocusOut: true });
+		if (!name || !name.trim()) return;
+		updateSession(context.workspaceState, session.id, s => {
+			s.name = name.trim();
+			s.titled = true;
+		});
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.deleteSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to delete');
+		if (!session) return;
+		const confirm = await vscode.window.showWarningMessage(`Delete session "${session.name}"?`, { modal: true }, 'Delete');
+		if (confirm !== 'Delete') return;
+		saveSessions(context.workspaceState, getSessions(context.workspaceState).filter(s => s.id !== session.id));
+		if (context.workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null) === session.id) {
+			// The next message starts a new session
+			setCurrentSession(context.workspaceState, null);
+			await context.workspaceState.update(OLLAMA_CHAT_HISTORY, []);
+			if (chatViewProviderInstance) {
+				chatViewProviderInstance._chatHistory = [];
+				chatViewProviderInstance._webviewView?.webview.postMessage({ command: 'loadHistory', history: [] });
+			}
+		}
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.duplicateSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to duplicate');
+		if (!session) return;
+		const copy = createSession(context.workspaceState, JSON.parse(JSON.stringify(session.history || [])), `${session.name} (copy)`);
+		if (session.systemPrompt) {
+			updateSession(context.workspaceState, copy.id, s => {
+				s.systemPrompt = session.systemPrompt;
+				s.persona = session.persona;
+			});
+		}
+		await openSession(context.workspaceState, copy.id);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.pinSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to pin');
+		if (session) updateSession(context.workspaceState, session.id, s => { s.pinned = true; });
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.unpinSession', async function (arg) {
+		const session = await resolveSessionArg(context.workspaceState, arg, 'Select a chat session to unpin');
+		if (session) updateSession(context.workspaceState, session.id, s => { s.pinned = false; });
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.searchSessions', function () {
+		searchSessions(context.workspaceState);
+	}));
+
+	// Command: Select Provider (lists every registered provider)
 	const selectProviderCommand = vscode.commands.registerCommand('vswizard.selectProvider', async function () {
-		const provider = await vscode.window.showQuickPick([
-			{ label: 'Ollama', value: 'ollama' },
-			{ label: 'OpenAI', value: 'openai' }
-		], { placeHolder: 'Select LLM Provider' });
+		const currentId = getActiveProvider(context.workspaceState).id;
+		const provider = await vscode.window.showQuickPick(
+			Array.from(providerRegistry.values()).map(p => ({
+				label: p.label,
+				description: p.id === currentId ? '(current)' : '',
+				value: p.id
+			})),
+			{ placeHolder: 'Select LLM Provider' }
+		);
 		if (provider) {
-			context.workspaceState.update(VSWIZARD_PROVIDER, provider.value);
+			await context.workspaceState.update(VSWIZARD_PROVIDER, provider.value);
+			// A profile for another provider would keep overriding the choice
+			const activeProfile = profileManager.getActiveProfile();
+			if (activeProfile && activeProfile.provider !== provider.value) await profileManager.setActiveProfile(undefined);
 			vscode.window.showInformationMessage(`VSWizard provider set to: ${provider.label}`);
 			// Optionally notify webview
 			if (chatViewProviderInstance && chatViewProviderInstance._webviewView) {
 				chatViewProviderInstance._webviewView.webview.postMessage({ command: 'setProvider', provider: provider.value });
 				// Refresh the input prompt in the webview after provider change
 				chatViewProviderInstance._webviewView.webview.postMessage({ command: 'resetInput' });
+				postModelInfo(chatViewProviderInstance);
+				postProfiles(chatViewProviderInstance);
 			}
 		}
 	});
 	context.subscriptions.push(selectProviderCommand);
 
-	// Command: Set OpenAI Parameters
-	const setOpenAIParamsCommand = vscode.commands.registerCommand('vswizard.setOpenAIParams', async function () {
-		const apiKey = await vscode.window.showInputBox({
-			prompt: 'Enter your OpenAI API Key',
-			value: context.workspaceState.get(OPENAI_API_KEY) || '',
-			ignoreFocusOut: true,
-			password: true
-		});
-		if (apiKey) {
-			context.workspaceState.update(OPENAI_API_KEY, apiKey);
+	// Command: Configure the selected provider (endpoint, key, model, ...)
+	const configureProviderCommand = vscode.commands.registerCommand('vswizard.configureProvider', async function () {
+		await getActiveProvider(context.workspaceState).configure(context);
+		if (chatViewProviderInstance) {
+			postModelInfo(chatViewProviderInstance);
+			postProfiles(chatViewProviderInstance);
 		}
-		const endpoint = await vscode.window.showInputBox({
-			prompt: 'Enter OpenAI API Endpoint (default: https://api.openai.com/v1/chat/completions)',
-			value: context.workspaceState.get(OPENAI_API_ENDPOINT) || 'https://api.openai.com/v1/chat/completions',
-			ignoreFocusOut: true
-		});
-		if (endpoint) {
-			context.workspaceState.update(OPENAI_API_ENDPOINT, endpoint);
+	});
+	context.subscriptions.push(configureProviderCommand);
+
+	// Command: Create a connection profile for any provider
+	const createProfileCommand = vscode.commands.registerCommand('vswizard.createProfile', async function () {
+		const pick = await vscode.window.showQuickPick(
+			Array.from(providerRegistry.values()).map(p => ({ label: p.label, value: p.id })),
+			{ placeHolder: 'Provider for the new profile' }
+		);
+		if (!pick) return;
+		const profile = await editProfileInteractively(providerRegistry.get(pick.value));
+		if (profile) {
+			await activateProfile(context.workspaceState, profile.name);
+			vscode.window.showInformationMessage(`Profile "${profile.name}" created and activated.`);
 		}
-		const model = await vscode.window.showInputBox({
-			prompt: 'Enter OpenAI Model (e.g., gpt-3.5-turbo, gpt-4o, etc)',
-			value: context.workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL,
-			ignoreFocusOut: true
-		});
-		if (model) {
-			context.workspaceState.update(OPENAI_SELECTED_MODEL, model);
+	});
+	context.subscriptions.push(createProfileCommand);
+
+	// Command: Switch the active connection profile
+	const switchProfileCommand = vscode.commands.registerCommand('vswizard.switchProfile', async function () {
+		const active = profileManager.getActiveProfile();
+		const items = profileManager.getProfiles().map(p => ({
+			label: p.name,
+			description: `${providerRegistry.get(p.provider)?.label || p.provider}${p.model ? ' · ' + p.model : ''}`,
+			detail: p.scope === 'workspace' ? 'Workspace profile' : 'Global profile',
+			picked: active ? active.name === p.name : false,
+			value: p.name
+		}));
+		if (items.length === 0) {
+			vscode.window.showInformationMessage('No connection profiles yet. Run "wzd: Create Connection Profile" first.');
+			return;
 		}
-		const temperature = await vscode.window.showInputBox({
-			prompt: 'Set temperature (0.0 - 2.0)',
-			value: String(context.workspaceState.get(OPENAI_TEMPERATURE) || '1.0'),
-			ignoreFocusOut: true
-		});
-		if (temperature && !isNaN(Number(temperature))) {
-			context.workspaceState.update(OPENAI_TEMPERATURE, Number(temperature));
+		const pick = await vscode.window.showQuickPick(items, { placeHolder: 'Select connection profile' });
+		if (pick) {
+			await activateProfile(context.workspaceState, pick.value);
+			vscode.window.showInformationMessage(`VSWizard profile set to: ${pick.value}`);
+		}
+	});
+	context.subscriptions.push(switchProfileCommand);
+
+	// Command: Delete a connection profile (and its stored API key)
+	const deleteProfileCommand = vscode.commands.registerCommand('vswizard.deleteProfile', async function () {
+		const pick = await vscode.window.showQuickPick(
+			profileManager.getProfiles().map(p => ({
+				label: p.name,
+				description: p.scope === 'workspace' ? 'Workspace' : 'Global',
+				profile: p
+			})),
+			{ placeHolder: 'Select profile to delete' }
+		);
+		if (!pick) return;
+		const confirm = await vscode.window.showWarningMessage(`Delete profile "${pick.profile.name}"?`, { modal: true }, 'Delete');
+		if (confirm !== 'Delete') return;
+		await profileManager.deleteProfile(pick.profile.name, pick.profile.scope);
+		if (chatViewProviderInstance) {
+			postModelInfo(chatViewProviderInstance);
+			postProfiles(chatViewProviderInstance);
 		}
-		vscode.window.showInformationMessage('OpenAI parameters updated.');
+	});
+	context.subscriptions.push(deleteProfileCommand);
+
+	// Command: Set OpenAI Parameters
+	const setOpenAIParamsCommand = vscode.commands.registerCommand('vswizard.setOpenAIParams', async function () {
+		await openaiProvider.configure(context);
 	});
 	context.subscriptions.push(setOpenAIParamsCommand);
 
 	// Dispatch setModelName command to update placeholder
-	const openaiModel = context.workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
-	chatViewProviderInstance?._webviewView?.webview.postMessage({ command: 'setModelName', modelName: `OpenAI (${openaiModel})` });
+	if (chatViewProviderInstance) postModelInfo(chatViewProviderInstance);
 }
 
-// Simple token count: split by whitespace and punctuation
-// For more accuracy, use a tokenizer matching your LLM
+// Token estimate for a piece of text. BPE tokenizers average roughly 4 characters per token for
+// English and code, but produce more tokens for short words and punctuation-heavy text, so take the
+// larger of a character-based and a word/punctuation-based estimate.
 function countTokens(text) {
-	// Simple heuristic: whitespace/punctuation split, then multiply by 3 for a rougher LLM token estimate
-	return text.split(/\s+|[.,!?;:()\[\]{}"'`]/).filter(Boolean).length * 3;
+	if (!text) return 0;
+	const byChars = text.length / 4;
+	const words = text.split(/\s+/).filter(Boolean).length;
+	const punctuation = (text.match(/[.,!?;:()\[\]{}"'`<>=+\-*/\\|&^%$#@~]/g) || []).length;
+	const byWords = words * 1.3 + punctuation * 0.5;
+	// Non-ASCII (e.g. CJK) characters are usually at least one token each
+	const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+	return Math.ceil(Math.max(byChars, byWords) + nonAscii * 0.5);
+}
+
+// Per-message overhead for role markers and separators in chat templates
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+function countMessageTokens(messages) {
+	return messages.reduce((sum, m) => {
+		const content = typeof m.content === 'string'
+			? m.content
+			: (Array.isArray(m.content) ? m.content.map(part => part.text || '').join('\n') : '');
+		return sum + countTokens(content) + MESSAGE_TOKEN_OVERHEAD;
+	}, 0);
 }
 
+// Map stored {text, sender} history entries to chat API messages.
+// Agent tool transcripts (sender 'tool') are display-only and are not replayed to the model.
+// Turns folded into a summary (compacted: true) are replaced by their 'summary' entry.
+// Reasoning of earlier replies is only sent back to models listed in vswizard.reasoning.keepInPrompt.
+function historyToMessages(chatHistory, model = '') {
+	const keepReasoning = keepReasoningInPrompt(model);
+	return chatHistory
+		.filter(m => m.sender !== 'tool' && !m.compacted)
+		.map(m => {
+			if (m.sender === 'summary') {
+				return { role: 'system', content: `Summary of the earlier conversation:\n${m.text}` };
+			}
+			if (m.sender === 'user') {
+				return m.images && m.images.length ? { role: 'user', content: m.text, images: m.images } : { role: 'user', content: m.text };
+			}
+			// Replies stored before reasoning was kept apart may still start with a <think> block
+			const { content, reasoning } = m.reasoning ? { content: m.text, reasoning: m.reasoning.text } : splitThinkTags(m.text);
+			return keepReasoning && reasoning
+				? { role: 'assistant', content, thinking: reasoning }
+				: { role: 'assistant', content };
+		});
+}
+
+// Store the chat history both as the working history and in the current session
+function persistChatHistory(workspaceState, chatHistory) {
+	workspaceState.update(OLLAMA_CHAT_HISTORY, chatHistory);
+	const sessions = getSessions(workspaceState);
+	const currentId = workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+	const idx = currentId ? sessions.findIndex(s => s.id === currentId) : -1;
+	if (idx !== -1) {
+		sessions[idx].history = chatHistory;
+		sessions[idx].updatedAt = Date.now();
+		saveSessions(workspaceState, sessions);
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Conversation branches: edit and regenerate fork the history instead of discarding it
+// ---------------------------------------------------------------------------
+//
+// A session's `history` is always the active branch, so everything that reads the flat array
+// keeps working and flat histories from older versions load unchanged. Where the conversation
+// forks, the entry at that position carries `branches`: `tails[k]` holds the rest of the
+// conversation (from that position on) for branch k, and `tails[active]` is null because the
+// active tail is the live history itself. Tails may contain forks of their own.
+
+/**
+ * @typedef {Object} HistoryBranches
+ * @property {Array<Array<Object> | null>} tails
+ * @property {number} active
+ */
+
+// Cut the history at index; the fork metadata of the first cut entry is returned separately
+function detachTail(history, index) {
+	const tail = history.splice(index);
+	const branches = tail[0].branches;
+	tail[0] = { ...tail[0] };
+	delete tail[0].branches;
+	return { tail, branches };
+}
+
+// Record tail as an inactive branch next to a new active branch
+function addBranch(branches, tail) {
+	const result = branches ? { tails: branches.tails.slice(), active: branches.active } : { tails: [null], active: 0 };
+	result.tails[result.active] = tail;
+	result.tails.push(null);
+	result.active = result.tails.length - 1;
+	return result;
+}
+
+/**
+ * Replace everything from index on with a new branch starting with entry.
+ * The replaced messages stay available as another branch.
+ * @param {Array<Object>} history modified in place
+ * @param {number} index
+ * @param {{text: string, sender: string}} entry
+ */
+function forkHistory(history, index, entry) {
+	const { tail, branches } = detachTail(history, index);
+	history.push({ ...entry, branches: addBranch(branches, tail) });
+}
+
+/**
+ * Make another branch of the fork at index active.
+ * @param {Array<Object>} history modified in place
+ * @param {number} index
+ * @param {number} target branch number
+ * @returns {boolean} whether the history changed
+ */
+function switchHistoryBranch(history, index, target) {
+	const current = history[index] && history[index].branches;
+	if (!current || target < 0 || target >= current.tails.length || target === current.active) return false;
+	const { tail, branches } = detachTail(history, index);
+	const tails = branches.tails.slice();
+	tails[branches.active] = tail;
+	const next = tails[target];
+	tails[target] = null;
+	history.push({ ...next[0], branches: { tails, active: target } }, ...next.slice(1));
+	return true;
+}
+
+/**
+ * Regenerate the reply to the user message before botIndex as a new branch. The previous
+ * reply (including agent tool calls of that turn) is kept as the other branch; if no new
+ * reply arrives the history is restored.
+ * @param {ChatViewProvider} providerInstance
+ * @param {number} botIndex
+ * @returns {Promise<boolean>} true when a new reply was stored
+ */
+async function regenerateReply(providerInstance, botIndex) {
+	const workspaceState = providerInstance._workspaceState;
+	const history = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	providerInstance._chatHistory = history;
+	const index = getReplyStart(history, botIndex);
+	if (index === 0 || index >= history.length) return false;
+
+	// Compaction may insert a summary while the reply streams, so track the prompt, not the index
+	const prompt = history[index - 1];
+	const { tail, branches } = detachTail(history, index);
+	const replied = workspaceState.get(VSWIZARD_AGENT_MODE, false)
+		? await handleAgentChat(providerInstance)
+		: await handleChat(providerInstance);
+
+	const start = history.indexOf(prompt) + 1;
+	if (history.length > start) {
+		history[start] = { ...history[start], branches: addBranch(branches, tail) };
+	} else {
+		history.push(branches ? { ...tail[0], branches } : tail[0], ...tail.slice(1));
+	}
+	persistChatHistory(workspaceState, history);
+	return replied;
+}
+
+// First history index of the turn that produced the reply at botIndex (agent tool calls included)
+function getReplyStart(history, botIndex) {
+	let index = botIndex;
+	while (index > 0 && history[index - 1].sender !== 'user') index--;
+	return index;
+}
+
+// Re-render the chat view from the stored history (message actions need history indexes)
+function refreshHistoryView(providerInstance) {
+	const webviewView = providerInstance._webviewView;
+	if (!webviewView) return;
+	const chatHistory = providerInstance._chatHistory || providerInstance._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	webviewView.webview.postMessage({ command: 'loadHistory', history: chatHistory, keepScroll: true });
+}
+
+// ---------------------------------------------------------------------------
+// Context budget: keep the prompt inside the model's context window
+// ---------------------------------------------------------------------------
+
+// Known OpenAI context windows, matched by longest model-name prefix (used by the OpenAI provider)
+const OPENAI_CONTEXT_LIMITS = {
+	'gpt-4.1': 1047576,
+	'gpt-4o': 128000,
+	'gpt-4-turbo': 128000,
+	'gpt-4': 8192,
+	'gpt-3.5-turbo': 16385,
+	'gpt-5': 400000,
+	'o1': 200000,
+	'o3': 200000,
+	'o4': 200000
+};
+const DEFAULT_OPENAI_CONTEXT_LIMIT = 128000;
+
+/**
+ * @typedef {Object} ContextTarget
+ * @property {string} [model] model the prompt is for instead of the selected one
+ * @property {number} [contextLength] context window the provider reported for that model
+ */
+
+/**
+ * Context window of the selected model, or of target.model.
+ * The vswizard.context.modelLimits setting overrides what the provider reports.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} providerId
+ * @param {ContextTarget} [target]
+ * @returns {{ model: string, limit: number }}
+ */
+function getModelContextLimit(workspaceState, providerId, target = {}) {
+	const overrides = vscode.workspace.getConfiguration().get('vswizard.context.modelLimits') || {};
+	const provider = providerRegistry.get(providerId) || getActiveProvider(workspaceState);
+	const selected = provider.getModelName(workspaceState);
+	const model = target.model || selected;
+	let limit = model === selected || !target.contextLength
+		? provider.getCapabilities(workspaceState).contextLength
+		: target.contextLength;
+	if (typeof overrides[model] === 'number') limit = overrides[model];
+	return { model, limit };
+}
+
+// Tokens kept free for the model's reply
+function getReplyReserve(limit) {
+	const configured = vscode.workspace.getConfiguration().get('vswizard.context.reserveTokens') || 1024;
+	return Math.min(configured, Math.floor(limit / 4));
+}
+
+/**
+ * Ask the selected model for a compact summary of some turns, in the style of generateSessionName.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} providerId
+ * @param {Array<{text: string, sender: string}>} entries
+ * @param {string} previousSummary
+ * @returns {Promise<string>}
+ */
+async function summarizeTurns(workspaceState, providerId, entries, previousSummary) {
+	/** @type {ChatMessage[]} */
+	const messages = [];
+	if (previousSummary) {
+		messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${previousSummary}` });
+	}
+	for (const m of entries) {
+		messages.push({ role: m.sender === 'user' ? 'user' : 'assistant', content: m.text });
+	}
+	messages.push({
+		role: 'user',
+		content: 'Summarize the conversation so far in under 200 words so it can replace these messages. ' +
+			'Keep file names, decisions, code identifiers and open questions. Respond with the summary only.'
+	});
+
+	const provider = providerRegistry.get(providerId) || getActiveProvider(workspaceState);
+	const result = await requestChat(provider, workspaceState, messages, {}, 'summary');
+	return result.content.trim();
+}
+
+/**
+ * Make sure the history fits the selected model's context window before a request.
+ * Oldest turns are summarized into a single 'summary' entry and flagged compacted: true; if
+ * summarizing fails they are dropped from the prompt instead. Reports usage to the webview.
+ * The latest exchange is never compacted; when it alone does not fit, the request must not be sent.
+ * @param {ChatViewProvider} providerInstance
+ * @param {string} provider provider id
+ * @param {number} extraTokens tokens the caller adds on top of the history (e.g. a system prompt)
+ * @param {ContextTarget} [target] model the request goes to, when not the selected one
+ * @returns {Promise<string | undefined>} why the history does not fit, if it still does not
+ */
+async function applyContextBudget(providerInstance, provider, extraTokens = 0, target = {}) {
+	const workspaceState = providerInstance._workspaceState;
+	const webviewView = providerInstance._webviewView;
+	const chatHistory = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	const { model, limit } = getModelContextLimit(workspaceState, provider, target);
+	const reserve = getReplyReserve(limit);
+	const budget = limit - reserve - extraTokens;
+
+	const used = countMessageTokens(historyToMessages(chatHistory, model));
+	let compacted = false;
+	if (used > budget) {
+		// Candidates: live user/bot turns, always keeping the latest exchange
+		const live = chatHistory
+			.map((m, index) => ({ m, index }))
+			.filter(({ m }) => !m.compacted && (m.sender === 'user' || m.sender === 'bot'));
+		const keep = Math.min(2, live.length);
+		const toCompact = [];
+		let remaining = used;
+		// Leave room for the summary that replaces the compacted turns
+		const summaryAllowance = Math.min(400, Math.floor(budget / 4));
+		for (const item of live.slice(0, live.length - keep)) {
+			if (remaining + summaryAllowance <= budget) break;
+			toCompact.push(item);
+			remaining -= countTokens(item.m.text) + MESSAGE_TOKEN_OVERHEAD;
+		}
+
+		if (toCompact.length > 0) {
+			const previousSummaries = chatHistory.filter(m => m.sender === 'summary' && !m.compacted);
+			let summaryText;
+			try {
+				summaryText = await summarizeTurns(
+					workspaceState,
+					provider,
+					toCompact.map(item => item.m),
+					previousSummaries.map(m => m.text).join('\n')
+				);
+			} catch (err) {
+				console.error('Failed to summarize history, dropping older turns instead:', err);
+			}
+			for (const item of toCompact) item.m.compacted = true;
+			for (const m of previousSummaries) m.compacted = true;
+			const insertAt = toCompact[toCompact.length - 1].index + 1;
+			chatHistory.splice(insertAt, 0, {
+				text: summaryText || `[${toCompact.length} earlier messages were dropped to fit the context window]`,
+				sender: 'summary'
+			});
+			compacted = true;
+			persistChatHistory(workspaceState, chatHistory);
+		}
+	}
+
+	if (compacted && webviewView) {
+		webviewView.webview.postMessage({ command: 'loadHistory', history: chatHistory, streaming: true });
+	}
+	reportContextUsage(providerInstance, provider, extraTokens, target);
+
+	const total = countMessageTokens(historyToMessages(chatHistory, model)) + extraTokens;
+	if (total > limit - reserve) {
+		return `The latest messages need about ${total} tokens, more than the ${limit - reserve} tokens ${model} has left for the prompt. Shorten the message or attachments, or start a new session.`;
+	}
+	return undefined;
+}
+
+// Tell the webview how much of the context window the current history uses
+function reportContextUsage(providerInstance, provider, extraTokens = 0, target = {}) {
+	const webviewView = providerInstance._webviewView;
+	if (!webviewView) return;
+	const workspaceState = providerInstance._workspaceState;
+	const chatHistory = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	const { model, limit } = getModelContextLimit(workspaceState, provider, target);
+	const used = countMessageTokens(historyToMessages(chatHistory, model)) + extraTokens;
+	webviewView.webview.postMessage({ command: 'contextUsage', used, limit, reserve: getReplyReserve(limit) });
+}
+
+/**
+ * Load a page from media/ for a webview: relative src, data-*-src and href attributes become webview URIs, every
+ * script gets a nonce and a Content-Security-Policy is added that only runs those scripts and
+ * only shows images from the extension or data: URIs.
+ * @param {vscode.Webview} webview
+ * @param {vscode.Uri} mediaUri
+ * @param {string} fileName
+ */
+function getWebviewHtml(webview, mediaUri, fileName) {
+	const nonce = crypto.randomBytes(16).toString('base64');
+	const csp = [
+		"default-src 'none'",
+		`img-src ${webview.cspSource} data:`,
+		`style-src ${webview.cspSource} 'unsafe-inline'`,
+		`font-src ${webview.cspSource}`,
+		`script-src 'nonce-${nonce}'`
+	].join('; ');
+	return fs.readFileSync(vscode.Uri.joinPath(mediaUri, fileName).fsPath, 'utf8')
+		.replace(/([\w-]*src|href)="\.\/([^"]+)"/g, (match, attribute, file) => `${attribute}="${webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, ...file.split('/')))}"`)
+		.replace(/<script\b/g, `<script nonce="${nonce}"`)
+		.replace(/<head>/, `<head>\n    <meta http-equiv="Content-Security-Policy" content="${csp}">`);
+}
+
+// How long a command waits for a chat view that is still loading before posting to it anyway
+const WEBVIEW_READY_TIMEOUT_MS = 10000;
+
 // WebviewViewProvider for the chat view
 class ChatViewProvider {
 	/**
@@ -333,7 +959,71 @@ class ChatViewProvider {
 	constructor(extensionUri, workspaceState) {
 		this._extensionUri = extensionUri;
 		this._workspaceState = workspaceState;
-		this._pendingImages = [];
+		// The view's script is listening once it has asked for the history
+		this._webviewReady = false;
+		/** @type {Array<(ready: boolean) => void>} */
+		this._readyWaiters = [];
+	}
+
+	/**
+	 * Wait until the chat view's script can receive messages; posts sent before are lost.
+	 * @returns {Promise<boolean>} false when the view did not load in time
+	 */
+	_waitForWebview() {
+		if (this._webviewReady) return Promise.resolve(true);
+		return new Promise(resolve => {
+			const finish = ready => {
+				clearTimeout(timer);
+				this._readyWaiters = this._readyWaiters.filter(w => w !== finish);
+				resolve(ready);
+			};
+			const timer = setTimeout(() => finish(false), WEBVIEW_READY_TIMEOUT_MS);
+			this._readyWaiters.push(finish);
+		});
+	}
+
+	/**
+	 * Finish a slash command that does not send a prompt: run its VS Code command, or nothing
+	 * when a template variable prompt was cancelled.
+	 * @param {{template: PromptTemplate, cancelled?: boolean}} slash
+	 */
+	async _runSlashAction(slash) {
+		const webview = this._webviewView && this._webviewView.webview;
+		if (webview) webview.postMessage({ command: 'resetSendButton' });
+		if (slash.cancelled || !slash.template.command) return;
+		try {
+			await vscode.commands.executeCommand(slash.template.command);
+			if (webview) webview.postMessage({ command: 'addMessage', text: `/${slash.template.name}: ${slash.template.description}.`, sender: 'tool' });
+		} catch (error) {
+			if (webview) webview.postMessage({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
+		}
+	}
+
+	/**
+	 * Send a prompt composed by a command (e.g. an editor code action) as if the user typed it.
+	 * @param {string} fullText text stored in the history and sent to the model
+	 * @param {string} displayText short version shown in the chat view
+	 * @returns {Promise<string | undefined>} the reply, when one was stored
+	 */
+	async submitPrompt(fullText, displayText) {
+		await vscode.commands.executeCommand('vswizard-chat.focus');
+		await this._waitForWebview();
+		const history = this._chatHistory || this._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+		history.push({ text: fullText, sender: 'user' });
+		this._chatHistory = history;
+		if (!getCurrentSession(this._workspaceState)) createSession(this._workspaceState, history);
+		persistChatHistory(this._workspaceState, history);
+		this._webviewView?.webview.postMessage({ command: 'displayUserMessageWithFileContext', fullText, displayText });
+
+		if (this._abortController) this._abortController.abort();
+		this._abortController = new AbortController();
+		const replied = this._workspaceState.get(VSWIZARD_AGENT_MODE, false)
+			? await handleAgentChat(this)
+			: await handleChat(this);
+		if (!replied) return undefined;
+		refreshHistoryView(this);
+		const last = history[history.length - 1];
+		return last && last.sender === 'bot' && !last.truncated ? last.text : undefined;
 	}
 
 	/**
@@ -344,6 +1034,8 @@ class ChatViewProvider {
 	resolveWebviewView(webviewView, context, _token) {
 		this._abortController = null; // Track the current AbortController per webview
 		this._webviewView = webviewView; // Store the webviewView instance for later use
+		this._webviewReady = false;
+		webviewView.onDidDispose(() => { this._webviewReady = false; });
 		console.log('resolveWebviewView called for vswizard-chat');
 		webviewView.webview.options = {
 			// Allow scripts in the webview
@@ -351,15 +1043,8 @@ class ChatViewProvider {
 			localResourceRoots: [vscode.Uri.joinPath(this._extensionUri, 'media')]
 		};
 
-		// Get the HTML content for the webview
-		const htmlPath = vscode.Uri.joinPath(this._extensionUri, 'media', 'chat.html');
-		let htmlContent = fs.readFileSync(htmlPath.fsPath, 'utf8');
-	
-		// Fix logo path for webview
-		const logoUri = webviewView.webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'media', 'vswizard.png'));
-		htmlContent = htmlContent.replace('./vswizard.png', logoUri.toString());
-	
-		webviewView.webview.html = htmlContent;
+		// Logo and scripts are loaded from media/ under a nonce-based CSP
+		webviewView.webview.html = getWebviewHtml(webviewView.webview, vscode.Uri.joinPath(this._extensionUri, 'media'), 'chat.html');
 	
 		// Load chat history for current session
 		const currentId = this._workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
@@ -372,28 +1057,30 @@ class ChatViewProvider {
 		this._workspaceState.update(OLLAMA_CHAT_HISTORY, chatHistory);
 		this._chatHistory = chatHistory;
 
-		// Get the selected model and inform the webview
-		const selectedModel = this._workspaceState.get(OLLAMA_SELECTED_MODEL);
-		if (selectedModel) {
-			webviewView.webview.postMessage({ command: 'setMultimodal', multimodal: selectedModel.multimodal });
-			webviewView.webview.postMessage({ command: 'setModelName', modelName: selectedModel.name });
-		} else {
-			vscode.window.showInformationMessage('No Ollama model selected. Please run "List Ollama Models" first.');
-			webviewView.webview.postMessage({ command: 'setMultimodal', multimodal: false });
-			webviewView.webview.postMessage({ command: 'setModelName', modelName: '<Select LLM please>' }); // Default placeholder
+		// Get the selected provider/model and inform the webview
+		const activeProvider = getActiveProvider(this._workspaceState);
+		if (!activeProvider.getModelName(this._workspaceState)) {
+			vscode.window.showInformationMessage(`No ${activeProvider.label} model selected. Please run "List Models" first.`);
 		}
+		postModelInfo(this);
+		postProfiles(this);
+		postSessionPrompt(this);
+		postSlashCommands(this);
 
-		// Get provider and OpenAI model for placeholder
-		const provider = this._workspaceState.get(VSWIZARD_PROVIDER) || 'ollama';
-		let openaiModel = this._workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
-		if (provider === 'openai') {
-			webviewView.webview.postMessage({ command: 'setModelName', modelName: `OpenAI (${openaiModel})` });
-		}
+		webviewView.webview.postMessage({ command: 'setAgentMode', enabled: this._workspaceState.get(VSWIZARD_AGENT_MODE, false) });
+		webviewView.webview.postMessage({ command: 'setCompareMode', enabled: this._workspaceState.get(VSWIZARD_COMPARE_MODE, false) });
 
 		// Send history to webview
 		webviewView.webview.onDidReceiveMessage(message => {
 			if (message.command === 'getHistory') {
 				webviewView.webview.postMessage({ command: 'loadHistory', history: chatHistory });
+				this._webviewReady = true;
+				for (const waiter of this._readyWaiters.slice()) waiter(true);
+				if (this._pendingScrollIndex !== undefined) {
+					webviewView.webview.postMessage({ command: 'scrollToMessage', index: this._pendingScrollIndex });
+					this._pendingScrollIndex = undefined;
+				}
+				reportContextUsage(this, getActiveProvider(this._workspaceState).id);
 			}
 		});
 
@@ -402,11 +1089,16 @@ class ChatViewProvider {
 			async message => {
 				switch (message.command) {
 					case 'sendMessage': {
-						const provider = this._workspaceState.get(VSWIZARD_PROVIDER) || 'ollama';
-						let openaiModel = this._workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
-
-						const userMessageText = message.text;
+						const slash = await expandSlashCommand(message.text);
+						if (slash && !slash.text) {
+							await this._runSlashAction(slash);
+							break;
+						}
+						let userMessageText = slash ? slash.text : message.text;
+						if (message.mentions && message.mentions.length) userMessageText += (await resolveMentions(message.mentions)).text;
+						if (message.terminal) userMessageText += formatTerminalContext(terminalTracker.getLast()).text;
 						const userMessage = { text: userMessageText, sender: 'user' };
+						if (message.images && message.images.length) userMessage.images = message.images;
 
 						// Update chat history and session
 						let cur_chatHistory = this._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
@@ -414,56 +1106,38 @@ class ChatViewProvider {
 						this._workspaceState.update(OLLAMA_CHAT_HISTORY, cur_chatHistory);
 						this._chatHistory = cur_chatHistory;
 
-						const sessions = getSessions(this._workspaceState);
-						const currentId = this._workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
-						const idx = currentId ? sessions.findIndex(s => s.id === currentId) : -1;
-						if (idx !== -1) {
-							sessions[idx].history = cur_chatHistory;
-							if (sessions[idx].name === 'New Session' && cur_chatHistory.length === 1) {
-								sessions[idx].name = userMessageText.length > 30 ? userMessageText.slice(0, 30) : userMessageText;
-							}
-							saveSessions(this._workspaceState, sessions);
-						}
+						// Start a session when there is none yet (first run, or the current one was deleted)
+						if (!getCurrentSession(this._workspaceState)) createSession(this._workspaceState, cur_chatHistory);
+						persistChatHistory(this._workspaceState, cur_chatHistory);
 
 						// Abort any previous stream before starting a new one
 						if (this._abortController) {
 							this._abortController.abort();
 						}
 						this._abortController = new AbortController();
-						const image = this._pendingImages || null;
-						this._pendingImages = null;
-
-						// Call AI based on provider
-						if (provider === 'openai') {
-							await handleOpenAIChat(this, image);
-							if (this._webviewView) {
-								this._webviewView.webview.postMessage({ command: 'setModelName', modelName: `OpenAI (${openaiModel})` });
-							}
-						} else {
-							await handleOllamaChat(this, image);
-							if (this._webviewView) {
-								const selectedModel = this._workspaceState.get(OLLAMA_SELECTED_MODEL);
-								const modelName = selectedModel ? selectedModel.name : '<Select LLM please>';
-								this._webviewView.webview.postMessage({ command: 'setModelName', modelName });
-							}
-						}
-						break;
-					}
-					case 'setImage': {
-						// Store the image in the provider instance for the next message (now as a list)
-						if (!this._pendingImages) this._pendingImages = [];
-						this._pendingImages.push(message.image);
-						if (this._webviewView) {
-							this._webviewView.webview.postMessage({
-								command: 'showImagePreview',
-								image: message.image
-							});
-						}
+
+						// Call AI with the selected provider
+						const model = slash ? slash.model : undefined;
+						const replied = this._workspaceState.get(VSWIZARD_COMPARE_MODE, false)
+							? await handleCompareChat(this)
+							: this._workspaceState.get(VSWIZARD_AGENT_MODE, false)
+								? await handleAgentChat(this, model)
+								: await handleChat(this, model);
+						if (replied) refreshHistoryView(this);
+						postModelInfo(this);
 						break;
 					}
 					case 'getFileContext': {
-						// message.type: "current" | "opening"
+						// message.type: "current" | "smart" | "opening" | "relevant"
 						// message.userMessage: string
+						const slash = await expandSlashCommand(message.userMessage);
+						if (slash && !slash.text) {
+							await this._runSlashAction(slash);
+							break;
+						}
+						// The chat shows what was typed; the expanded template goes to the model
+						const typedMessage = message.userMessage;
+						if (slash) message.userMessage = slash.text;
 						let fileContextText = '';
 						let displayFileContextText = ''; // New variable for display text
 						try {
@@ -478,13 +1152,39 @@ class ChatViewProvider {
 									fileContextText = "\n\n[No file is currently open in the main editor]";
 									displayFileContextText = "\n\n[No file is currently open in the main editor]";
 								}
-							} else if (message.type === "opening") {
-								const tabGroups = vscode.window.tabGroups.all;
-								if (tabGroups.length > 0) {
-									// Loop through all tabs in all tab groups
-									const allTabs = tabGroups.flatMap(group => group.tabs);
-									if (allTabs.length > 0) {
-										fileContextText = '';
+							} else if (message.type === "smart") {
+								const editor = vscode.window.activeTextEditor;
+								if (editor) {
+									const smart = await buildSmartContext(this._workspaceState, this._chatHistory || [], editor, countTokens(message.userMessage));
+									fileContextText = smart.text;
+									displayFileContextText = smart.display;
+								} else {
+									fileContextText = "\n\n[No file is currently open in the main editor]";
+									displayFileContextText = "\n\n[No file is currently open in the main editor]";
+								}
+							} else if (message.type === "relevant") {
+								const topK = vscode.workspace.getConfiguration().get('vswizard.index.topK') || 6;
+								const results = await workspaceIndex.search(message.userMessage, topK);
+								if (results.length > 0) {
+									fileContextText = '';
+									displayFileContextText = '\n\n[Relevant code:';
+									for (const r of results) {
+										const location = `${r.path}:${r.startLine}-${r.endLine}`;
+										fileContextText += `\n\n[File: ${location}]\n[File Content Start]\n\`\`\`\n${r.text}\n\`\`\`\n[File Content End]`;
+										displayFileContextText += ` ${location};`;
+									}
+									displayFileContextText += ']';
+								} else {
+									fileContextText = "\n\n[No relevant code found in the workspace index]";
+									displayFileContextText = "\n\n[No relevant code found in the workspace index]";
+								}
+							} else if (message.type === "opening") {
+								const tabGroups = vscode.window.tabGroups.all;
+								if (tabGroups.length > 0) {
+									// Loop through all tabs in all tab groups
+									const allTabs = tabGroups.flatMap(group => group.tabs);
+									if (allTabs.length > 0) {
+										fileContextText = '';
 										displayFileContextText = '\n\n[Open files:';
 										for (const tab of allTabs) {
 											try {
@@ -524,8 +1224,23 @@ class ChatViewProvider {
 							fileContextText = `\n\n[Error retrieving file context: ${err.message}]`;
 							displayFileContextText = `\n\n[Error retrieving file context: ${err.message}]`;
 						}
-						const fullComposedMessage = message.userMessage + "(Readig files below and answer user)" +fileContextText;
-						const displayComposedMessage = message.userMessage + displayFileContextText;
+						const contextInstruction = message.type === "relevant"
+							? "(Answer using the code excerpts below and cite the file and line ranges you rely on, e.g. src/app.js:10-24)"
+							: message.type === "smart"
+								? "(The code below is followed by the definitions it uses; read them and answer user)"
+								: "(Readig files below and answer user)";
+						let fullComposedMessage = message.userMessage + contextInstruction + fileContextText;
+						let displayComposedMessage = typedMessage + displayFileContextText;
+						if (message.mentions && message.mentions.length) {
+							const mentionContext = await resolveMentions(message.mentions);
+							fullComposedMessage += mentionContext.text;
+							displayComposedMessage += mentionContext.display;
+						}
+						if (message.terminal) {
+							const terminalContext = formatTerminalContext(terminalTracker.getLast());
+							fullComposedMessage += terminalContext.text;
+							displayComposedMessage += terminalContext.display;
+						}
 						const tokenCount = countTokens(fullComposedMessage);
 
 						// After displaying file context, call AI with the composed message
@@ -533,26 +1248,82 @@ class ChatViewProvider {
 							command: 'displayUserMessageWithFileContext',
 							fullText: fullComposedMessage,
 							displayText: displayComposedMessage,
+							images: message.images,
 							tokenCount: tokenCount // Send token count to webview
 						});
 						// Call AI after getting file context
-						const providerForContext = this._workspaceState.get(VSWIZARD_PROVIDER) || 'ollama';
 						const userMsgForContext = { text: fullComposedMessage, sender: 'user' };
+						if (message.images && message.images.length) userMsgForContext.images = message.images;
 						this._chatHistory.push(userMsgForContext);
-						this._workspaceState.update(OLLAMA_CHAT_HISTORY, this._chatHistory);
+						if (!getCurrentSession(this._workspaceState)) createSession(this._workspaceState, this._chatHistory);
+						persistChatHistory(this._workspaceState, this._chatHistory);
 						if (this._abortController) {
 							this._abortController.abort();
 						}
 						this._abortController = new AbortController();
-						const images = this._pendingImages || null;
-						this._pendingImages = null;
-						if (providerForContext === 'openai') {
-							await handleOpenAIChat(this, images);
-						} else {
-							// Use Ollama provider to generate response		
-							await handleOllamaChat(this, images);
+						const model = slash ? slash.model : undefined;
+						const replied = this._workspaceState.get(VSWIZARD_COMPARE_MODE, false)
+							? await handleCompareChat(this)
+							: this._workspaceState.get(VSWIZARD_AGENT_MODE, false)
+								? await handleAgentChat(this, model)
+								: await handleChat(this, model);
+						if (replied) refreshHistoryView(this);
+						break;
+					}
+					case 'runInTerminal': {
+						await runInTerminal(message.code || '');
+						break;
+					}
+					case 'copyCode': {
+						await vscode.env.clipboard.writeText(message.code || '');
+						vscode.window.setStatusBarMessage('VSWizard: code copied to clipboard', 2000);
+						break;
+					}
+					case 'insertCode':
+					case 'replaceSelection': {
+						const editor = vscode.window.activeTextEditor;
+						if (!editor) {
+							vscode.window.showWarningMessage('No active editor to insert the code into.');
+							break;
 						}
-
+						await editor.edit(editBuilder => {
+							if (message.command === 'insertCode') {
+								editBuilder.insert(editor.selection.active, message.code || '');
+							} else {
+								editBuilder.replace(editor.selection, message.code || '');
+							}
+						});
+						break;
+					}
+					case 'applyCodeToFile': {
+						const targetUri = await resolveCodeBlockTarget(message.file);
+						if (!targetUri) {
+							vscode.window.showWarningMessage('Open the target file in an editor, then apply the code block again.');
+							break;
+						}
+						try {
+							const applied = await previewAndApplyEdit(targetUri, message.code || '', 'VSWizard: apply code block');
+							if (applied) {
+								vscode.window.setStatusBarMessage(`VSWizard: applied code to ${workspaceRelativePath(targetUri)}`, 3000);
+							}
+						} catch (err) {
+							vscode.window.showErrorMessage(`Failed to apply code: ${err.message}`);
+						}
+						break;
+					}
+					case 'setAgentMode': {
+						await this._workspaceState.update(VSWIZARD_AGENT_MODE, !!message.enabled);
+						break;
+					}
+					case 'setCompareMode': {
+						// Turning compare mode on asks for the models each time
+						const enabled = !!message.enabled && !!(await selectCompareModels(this._workspaceState));
+						await this._workspaceState.update(VSWIZARD_COMPARE_MODE, enabled);
+						webviewView.webview.postMessage({ command: 'setCompareMode', enabled });
+						break;
+					}
+					case 'keepCompareReply': {
+						if (keepCompareReply(this, message.id, message.index)) refreshHistoryView(this);
 						break;
 					}
 					case 'stop': {
@@ -569,217 +1340,4856 @@ class ChatViewProvider {
 					}
 					case 'getCurrentModel': {
 						// Respond to webview's request for current model name based on provider
-						const provider = this._workspaceState.get(VSWIZARD_PROVIDER) || 'ollama';
-						if (provider === 'openai') {
-							const openaiModel = this._workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
-							if (this._webviewView) {
-								this._webviewView.webview.postMessage({ command: 'setModelName', modelName: `OpenAI (${openaiModel})` });
-							}
-						} else {
-							const selectedModel = this._workspaceState.get(OLLAMA_SELECTED_MODEL);
-							if (selectedModel && this._webviewView) {
-								this._webviewView.webview.postMessage({ command: 'setModelName', modelName: selectedModel.name });
-							} else if (this._webviewView) {
-								this._webviewView.webview.postMessage({ command: 'setModelName', modelName: '<Select LLM please>' });
-							}
+						postModelInfo(this);
+						break;
+					}
+					case 'openLocation': {
+						// Links such as review findings: workspace-relative path and 1-based line
+						try {
+							const uri = resolveWorkspacePath(message.path);
+							const line = Math.max(0, (Number(message.line) || 1) - 1);
+							await vscode.window.showTextDocument(uri, { selection: new vscode.Range(line, 0, line, 0) });
+						} catch (error) {
+							vscode.window.showErrorMessage(`Cannot open ${message.path}: ${error.message}`);
+						}
+						break;
+					}
+					case 'mentionQuery': {
+						let items = [];
+						try {
+							items = await findMentionCandidates(message.kind, message.query || '');
+						} catch (error) {
+							console.error(`@${message.kind} search failed:`, error);
+						}
+						webviewView.webview.postMessage({ command: 'mentionResults', id: message.id, items });
+						break;
+					}
+					case 'editMessage': {
+						// Resend an edited prompt as a new branch
+						const history = this._chatHistory || this._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+						const entry = history[message.index];
+						if (!entry || entry.sender !== 'user' || entry.compacted || !message.text) break;
+						if (this._abortController) this._abortController.abort();
+						this._abortController = new AbortController();
+						const edited = { text: message.text, sender: 'user' };
+						if (entry.images) edited.images = entry.images;
+						forkHistory(history, message.index, edited);
+						this._chatHistory = history;
+						persistChatHistory(this._workspaceState, history);
+						this._webviewView?.webview.postMessage({ command: 'loadHistory', history, streaming: true });
+						const replied = this._workspaceState.get(VSWIZARD_AGENT_MODE, false)
+							? await handleAgentChat(this)
+							: await handleChat(this);
+						if (replied) refreshHistoryView(this);
+						break;
+					}
+					case 'continueReply': {
+						if (this._abortController) this._abortController.abort();
+						this._abortController = new AbortController();
+						if (await continueReply(this, message.index)) refreshHistoryView(this);
+						break;
+					}
+					case 'regenerate': {
+						const history = this._chatHistory || this._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+						const entry = history[message.index];
+						if (!entry || entry.sender !== 'bot' || entry.compacted) break;
+						if (this._abortController) this._abortController.abort();
+						this._abortController = new AbortController();
+						this._chatHistory = history;
+						this._webviewView?.webview.postMessage({ command: 'loadHistory', history: history.slice(0, getReplyStart(history, message.index)), streaming: true });
+						if (await regenerateReply(this, message.index)) refreshHistoryView(this);
+						break;
+					}
+					case 'switchBranch': {
+						const history = this._chatHistory || this._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+						if (switchHistoryBranch(history, message.index, message.branch)) {
+							this._chatHistory = history;
+							persistChatHistory(this._workspaceState, history);
+							refreshHistoryView(this);
+							reportContextUsage(this, getActiveProvider(this._workspaceState).id);
 						}
 						break;
 					}
+					case 'switchProfile': {
+						await activateProfile(this._workspaceState, message.name);
+						break;
+					}
+					case 'editSessionPrompt': {
+						await editSessionSystemPrompt(this._workspaceState);
+						break;
+					}
 				}
 			}
 		);
 	}
 }
 
-// Helper function to handle OpenAI chat streaming for both sendMessage and getFileContext
-// Now supports images (for GPT-4 Vision etc)
-async function handleOpenAIChat(providerInstance, images = null) {
-	const workspaceState = providerInstance._workspaceState;
-	const webviewView = providerInstance._webviewView;
-	const abortController = providerInstance._abortController;
-
-	const apiKey = workspaceState.get(OPENAI_API_KEY);
-	const endpoint = workspaceState.get(OPENAI_API_ENDPOINT) || 'https://api.openai.com/v1/chat/completions';
-	const model = workspaceState.get(OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
-	const temperature = workspaceState.get(OPENAI_TEMPERATURE) || 1.0;
-	const chatHistory = workspaceState.get(OLLAMA_CHAT_HISTORY, []);
-
-	// Prepare messages for OpenAI API
-	let messages = chatHistory.map(m => ({ role: m.sender === 'user' ? 'user' : 'assistant', content: m.text }));
-
-	// If images are present, attach them to the last user message (for GPT-4 Vision etc)
-	if (images && Array.isArray(images) && images.length > 0 && messages.length > 0) {
-		const lastMsg = messages[messages.length - 1];
-		if (lastMsg.role === 'user') {
-			// normalize raw base64 strings into data URLs
-			const imageSegments = images.map(img => {
-				let url = img;
-				if (!/^data:/.test(img)) {
-					url = `data:image/png;base64,${img}`;
-				}
-				return { type: 'image_url', image_url: { url } };
-			});
-			lastMsg.content = [
-				{ type: 'text', text: lastMsg.content },
-				...imageSegments
-			];
+// ---------------------------------------------------------------------------
+// LLM providers: every backend implements the same interface and registers itself
+// ---------------------------------------------------------------------------
+
+/**
+ * Provider-neutral chat message. Providers convert it to their own wire format.
+ * @typedef {Object} ChatMessage
+ * @property {'system' | 'user' | 'assistant' | 'tool'} role
+ * @property {string} content
+ * @property {string[]} [images] base64 images (raw or data URLs) attached to a user message
+ * @property {Array<{ id: string, name: string, args: any }>} [tool_calls] tool calls made by the assistant
+ * @property {string} [tool_call_id] id of the call a tool message answers
+ * @property {string} [tool_name] name of the tool a tool message answers
+ * @property {string} [thinking] reasoning of an earlier assistant message, when it is sent back
+ */
+
+/**
+ * @typedef {Object} ChatModel
+ * @property {string} name
+ * @property {number} [context_length]
+ * @property {boolean} [multimodal]
+ */
+
+/**
+ * @typedef {Object} StreamChatOptions
+ * @property {AbortSignal} [signal]
+ * @property {(delta: string) => void} [onDelta] called for every streamed text fragment
+ * @property {(delta: string) => void} [onReasoning] called for every streamed reasoning fragment
+ * @property {boolean} [think] ask for reasoning as a separate stream where the provider supports it
+ * @property {any[]} [tools] tool schemas in the OpenAI function format
+ * @property {string} [model] model (Azure: deployment) to use instead of the selected one
+ * @property {number} [contextLength] context window the prompt was fitted to (Ollama: num_ctx)
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {(workspaceState: vscode.Memento) => { vision: boolean, tools: boolean, contextLength: number }} getCapabilities
+ * @property {(workspaceState: vscode.Memento) => Promise<ChatModel[]>} listModels
+ * @property {(workspaceState: vscode.Memento, model: ChatModel) => Promise<void>} selectModel
+ * @property {(workspaceState: vscode.Memento) => string} getModelName name of the selected model, '' when none
+ * @property {(workspaceState: vscode.Memento) => string} getDisplayName
+ * @property {(workspaceState: vscode.Memento, messages: ChatMessage[], options: StreamChatOptions) => Promise<{ content: string, toolCalls: Array<{ id: string, name: string, args: any }>, reasoning?: string, usage?: ChatUsage }>} streamChat
+ * @property {(context: vscode.ExtensionContext) => Promise<void>} configure
+ */
+
+// Read a fetch response body line by line, calling onLine for each complete line
+async function readResponseLines(response, onLine) {
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+		buffer += decoder.decode(value, { stream: true });
+		let newlineIndex;
+		while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+			const line = buffer.substring(0, newlineIndex);
+			buffer = buffer.substring(newlineIndex + 1);
+			onLine(line);
 		}
 	}
+	if (buffer.trim()) onLine(buffer);
+}
+
+// Smallest num_ctx Ollama is asked for (its own default)
+const OLLAMA_MIN_CONTEXT = 2048;
+
+/**
+ * num_ctx for an Ollama request: room for the prompt and the reply reserve, capped at the
+ * model's window. Ollama allocates memory for the whole window and reloads the model when
+ * num_ctx changes, so it is rounded up to a power of two to keep it stable between requests.
+ * @param {number} promptTokens
+ * @param {number} limit
+ * @returns {number}
+ */
+function getOllamaContextSize(promptTokens, limit) {
+	const needed = promptTokens + getReplyReserve(limit);
+	let size = OLLAMA_MIN_CONTEXT;
+	while (size < needed) size *= 2;
+	return Math.min(size, limit);
+}
+
+/** @type {Map<string, LLMProvider>} */
+const providerRegistry = new Map();
+
+/**
+ * @param {LLMProvider} provider
+ */
+function registerProvider(provider) {
+	providerRegistry.set(provider.id, provider);
+}
+
+/**
+ * @param {vscode.Memento} workspaceState
+ * @returns {LLMProvider}
+ */
+function getActiveProvider(workspaceState) {
+	const profile = profileManager ? profileManager.getActiveProfile() : undefined;
+	const providerId = (profile && providerRegistry.has(profile.provider)) ? profile.provider : workspaceState.get(VSWIZARD_PROVIDER);
+	return providerRegistry.get(providerId || 'ollama') || providerRegistry.get('ollama');
+}
+
+// Split an image (raw base64 or data URL) into media type and raw base64 data
+function parseImage(img) {
+	const match = /^data:([^;]+);base64,(.*)$/s.exec(img);
+	return match ? { mediaType: match[1], data: match[2] } : { mediaType: 'image/png', data: img };
+}
+
+// Parse the JSON arguments of a streamed tool call; models occasionally emit invalid JSON
+function parseToolArguments(raw) {
 	try {
+		return raw ? JSON.parse(raw) : {};
+	} catch {
+		return {};
+	}
+}
+
+// Convert neutral messages to the OpenAI chat completions format (also used by Azure and llama.cpp)
+function toOpenAIMessages(messages) {
+	return messages.map(m => {
+		if (m.role === 'tool') {
+			return { role: 'tool', tool_call_id: m.tool_call_id, content: m.content };
+		}
+		if (m.role === 'assistant' && m.tool_calls && m.tool_calls.length) {
+			return {
+				role: 'assistant',
+				content: m.content || null,
+				tool_calls: m.tool_calls.map(call => ({
+					id: call.id,
+					type: 'function',
+					function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+				}))
+			};
+		}
+		if (m.images && m.images.length) {
+			return {
+				role: m.role,
+				content: [
+					{ type: 'text', text: m.content },
+					...m.images.map(img => ({ type: 'image_url', image_url: { url: /^data:/.test(img) ? img : `data:image/png;base64,${img}` } }))
+				]
+			};
+		}
+		if (m.role === 'assistant' && m.thinking) {
+			// There is no request field for earlier reasoning; send it the way reasoning models write it
+			return { role: 'assistant', content: `${THINK_OPEN_TAG}\n${m.thinking}\n${THINK_CLOSE_TAG}\n\n${m.content}` };
+		}
+		return { role: m.role, content: m.content };
+	});
+}
+
+/**
+ * POST an OpenAI-compatible streaming chat completion and collect text and tool calls.
+ * @param {string} url
+ * @param {Record<string, string>} headers
+ * @param {any} body request body without `stream`
+ * @param {StreamChatOptions} options
+ */
+async function streamOpenAICompatible(url, headers, body, options) {
+	const response = await fetch(url, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify({ ...body, stream: true, stream_options: { include_usage: true } }),
+		signal: options.signal
+	});
+	if (!response.ok) throw new Error(`API error: ${response.status} ${response.statusText}`);
+
+	let content = '';
+	let reasoning = '';
+	let usage;
+	const toolCalls = [];
+	await readResponseLines(response, rawLine => {
+		const line = rawLine.trim();
+		if (!line.startsWith('data:')) return;
+		const payload = line.replace(/^data: ?/, '');
+		if (payload === '[DONE]') return;
+		try {
+			const chunk = JSON.parse(payload);
+			// With stream_options.include_usage the last chunk carries the usage and no choices
+			if (chunk.usage) usage = { promptTokens: chunk.usage.prompt_tokens || 0, completionTokens: chunk.usage.completion_tokens || 0 };
+			const delta = chunk.choices?.[0]?.delta;
+			if (!delta) return;
+			if (delta.content) {
+				content += delta.content;
+				if (options.onDelta) options.onDelta(delta.content);
+			}
+			// Reasoning deltas: reasoning_content (DeepSeek, llama.cpp, vLLM) or reasoning (OpenRouter, Ollama, LM Studio)
+			const reasoningDelta = delta.reasoning_content || delta.reasoning;
+			if (typeof reasoningDelta === 'string' && reasoningDelta) {
+				reasoning += reasoningDelta;
+				if (options.onReasoning) options.onReasoning(reasoningDelta);
+			}
+			// Tool call arguments arrive as string fragments keyed by index
+			for (const part of delta.tool_calls || []) {
+				const slot = toolCalls[part.index || 0] || (toolCalls[part.index || 0] = { id: '', name: '', arguments: '' });
+				if (part.id) slot.id = part.id;
+				if (part.function?.name) slot.name += part.function.name;
+				if (part.function?.arguments) slot.arguments += part.function.arguments;
+			}
+		} catch {
+			// ignore parse errors
+		}
+	});
+
+	return {
+		content,
+		toolCalls: toolCalls.filter(Boolean).map(call => ({ id: call.id, name: call.name, args: parseToolArguments(call.arguments) })),
+		reasoning,
+		usage
+	};
+}
+
+// Ask for a value with an input box; returns undefined when the user cancels
+function promptForSetting(prompt, value, password = false) {
+	return vscode.window.showInputBox({ prompt, value: value || '', ignoreFocusOut: true, password });
+}
+
+/**
+ * Remember a model picked with "List Models": in the legacy workspace key (which also carries
+ * model details) and, when a profile for this provider is active, in that profile.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} providerId
+ * @param {string} legacyKey
+ * @param {any} value
+ * @param {string} modelName
+ */
+async function storeSelectedModel(workspaceState, providerId, legacyKey, value, modelName) {
+	await workspaceState.update(legacyKey, value);
+	const profile = getActiveProfileFor(providerId);
+	if (profile) await profileManager.updateProfile(profile.name, { model: modelName });
+}
+
+/** @type {LLMProvider} */
+const ollamaProvider = {
+	id: 'ollama',
+	label: 'Ollama',
+	requiresApiKey: false,
+	profileFields: [
+		{ field: 'endpoint', prompt: 'Ollama URL', defaultValue: 'http://localhost:11434' },
+		{ field: 'model', prompt: 'Model name (leave empty to pick one later with "List Models")' }
+	],
+	getCapabilities(workspaceState) {
+		const selectedModel = this._getSelectedModelDetails(workspaceState);
+		return {
+			vision: !!(selectedModel && selectedModel.multimodal),
+			tools: true,
+			contextLength: (selectedModel && selectedModel.context_length) || 2048
+		};
+	},
+	// Details from /api/show are only valid while they describe the model in use
+	_getSelectedModelDetails(workspaceState) {
+		const selectedModel = workspaceState.get(OLLAMA_SELECTED_MODEL);
+		return selectedModel && selectedModel.name === this.getModelName(workspaceState) ? selectedModel : undefined;
+	},
+	async listModels() {
+		return listOllamaModels(getOllamaUrl());
+	},
+	async selectModel(workspaceState, model) {
+		await storeSelectedModel(workspaceState, this.id, OLLAMA_SELECTED_MODEL, model, model.name);
+	},
+	getModelName(workspaceState) {
+		const profile = getActiveProfileFor(this.id);
+		if (profile && profile.model) return profile.model;
+		const selectedModel = workspaceState.get(OLLAMA_SELECTED_MODEL);
+		return selectedModel ? selectedModel.name : '';
+	},
+	getDisplayName(workspaceState) {
+		return this.getModelName(workspaceState);
+	},
+	async streamChat(workspaceState, messages, options) {
+		const ollamaUrl = getOllamaUrl();
+		const model = options.model || this.getModelName(workspaceState) || 'llama2';
+		const body = {
+			model,
+			messages: messages.map(m => {
+				const msg = { role: m.role, content: m.content };
+				if (m.images && m.images.length) msg.images = m.images.map(img => parseImage(img).data);
+				if (m.tool_calls && m.tool_calls.length) {
+					msg.tool_calls = m.tool_calls.map(call => ({ function: { name: call.name, arguments: call.args || {} } }));
+				}
+				if (m.role === 'tool' && m.tool_name) msg.tool_name = m.tool_name;
+				if (m.thinking) msg.thinking = m.thinking;
+				return msg;
+			}),
+			stream: true
+		};
+		if (options.tools) body.tools = options.tools;
+		if (options.think) body.think = true;
+		// Ollama runs with a small default window unless told otherwise, which would cut the history
+		// the context budget kept; ask for one that fits this prompt and the reply
+		const { limit } = getModelContextLimit(workspaceState, this.id, { model, contextLength: options.contextLength });
+		const toolTokens = options.tools ? countTokens(JSON.stringify(options.tools)) : 0;
+		body.options = { num_ctx: getOllamaContextSize(countMessageTokens(messages) + toolTokens, limit) };
+
+		const post = () => fetch(`${ollamaUrl}/api/chat`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+			signal: options.signal
+		});
+		let response = await post();
+		if (!response.ok && body.think && response.status === 400) {
+			// Models without thinking support reject the think option
+			const error = await response.text();
+			if (!/thinking/i.test(error)) throw new Error(`HTTP error! status: ${response.status}`);
+			delete body.think;
+			response = await post();
+		}
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+		let content = '';
+		let reasoning = '';
+		let usage;
+		const toolCalls = [];
+		await readResponseLines(response, line => {
+			if (!line.trim()) return;
+			try {
+				const data = JSON.parse(line);
+				// The final chunk has the token counts and durations (in nanoseconds)
+				if (data.done && typeof data.eval_count === 'number') {
+					usage = {
+						promptTokens: data.prompt_eval_count || 0,
+						completionTokens: data.eval_count,
+						evalDurationMs: data.eval_duration ? data.eval_duration / 1e6 : undefined
+					};
+				}
+				// Support /api/chat streaming (message.content) and fallback to legacy /api/generate (response)
+				const delta = (data.message && typeof data.message.content === 'string')
+					? data.message.content
+					: (typeof data.response === 'string' ? data.response : '');
+				if (delta) {
+					content += delta;
+					if (options.onDelta) options.onDelta(delta);
+				}
+				// With think: true the reasoning arrives in message.thinking
+				const thinking = data.message?.thinking;
+				if (thinking) {
+					reasoning += thinking;
+					if (options.onReasoning) options.onReasoning(thinking);
+				}
+				for (const call of data.message?.tool_calls || []) {
+					toolCalls.push({ id: `call_${toolCalls.length}`, name: call.function?.name, args: call.function?.arguments || {} });
+				}
+			} catch (error) {
+				console.error('Error parsing JSON stream:', error);
+			}
+		});
+		return { content, toolCalls, reasoning, usage };
+	},
+	async configure() {
+		await configureProviderProfile(this);
+	}
+};
+
+/** @type {LLMProvider} */
+const openaiProvider = {
+	id: 'openai',
+	label: 'OpenAI',
+	requiresApiKey: true,
+	profileFields: [
+		{ field: 'endpoint', prompt: 'OpenAI API Endpoint', defaultValue: 'https://api.openai.com/v1/chat/completions' },
+		{ field: 'model', prompt: 'OpenAI Model (e.g., gpt-4.1-mini, gpt-4o, etc)', defaultValue: DEFAULT_OPENAI_MODEL },
+		{ field: 'temperature', prompt: 'Temperature (0.0 - 2.0)', defaultValue: '1.0', numeric: true }
+	],
+	getCapabilities(workspaceState) {
+		const model = this.getModelName(workspaceState);
+		const prefix = Object.keys(OPENAI_CONTEXT_LIMITS)
+			.filter(p => model.startsWith(p))
+			.sort((a, b) => b.length - a.length)[0];
+		return {
+			vision: /gpt-4o|gpt-4\.1|gpt-5|vision|o1|o3|o4/.test(model),
+			tools: true,
+			contextLength: prefix ? OPENAI_CONTEXT_LIMITS[prefix] : DEFAULT_OPENAI_CONTEXT_LIMIT
+		};
+	},
+	async listModels(workspaceState) {
+		const endpoint = getProviderSetting(workspaceState, this.id, 'endpoint', OPENAI_API_ENDPOINT) || 'https://api.openai.com/v1/chat/completions';
+		const modelsUrl = endpoint.replace(/\/chat\/completions\/?$/, '') + '/models';
+		const response = await fetch(modelsUrl, { headers: { 'Authorization': `Bearer ${await getProviderApiKey(this.id)}` } });
+		if (!response.ok) throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+		const data = /** @type {any} */ (await response.json());
+		return (data.data || [])
+			.map(m => m.id)
+			.filter(id => /^(gpt|o\d|chatgpt)/.test(id))
+			.sort()
+			.map(name => ({ name }));
+	},
+	async selectModel(workspaceState, model) {
+		await storeSelectedModel(workspaceState, this.id, OPENAI_SELECTED_MODEL, model.name, model.name);
+	},
+	getModelName(workspaceState) {
+		return getProviderSetting(workspaceState, this.id, 'model', OPENAI_SELECTED_MODEL) || DEFAULT_OPENAI_MODEL;
+	},
+	getDisplayName(workspaceState) {
+		return `OpenAI (${this.getModelName(workspaceState)})`;
+	},
+	async streamChat(workspaceState, messages, options) {
+		const endpoint = getProviderSetting(workspaceState, this.id, 'endpoint', OPENAI_API_ENDPOINT) || 'https://api.openai.com/v1/chat/completions';
+		const body = {
+			model: options.model || this.getModelName(workspaceState),
+			messages: toOpenAIMessages(messages),
+			temperature: getProviderSetting(workspaceState, this.id, 'temperature', OPENAI_TEMPERATURE) ?? 1.0
+		};
+		if (options.tools) body.tools = options.tools;
+		return streamOpenAICompatible(endpoint, { 'Authorization': `Bearer ${await getProviderApiKey(this.id)}` }, body, options);
+	},
+	async configure() {
+		await configureProviderProfile(this);
+	}
+};
+
+/** @type {LLMProvider} */
+const anthropicProvider = {
+	id: 'anthropic',
+	label: 'Anthropic',
+	requiresApiKey: true,
+	profileFields: [
+		{ field: 'endpoint', prompt: 'Anthropic Messages API endpoint', defaultValue: DEFAULT_ANTHROPIC_ENDPOINT },
+		{ field: 'model', prompt: 'Anthropic model', defaultValue: DEFAULT_ANTHROPIC_MODEL },
+		{ field: 'maxTokens', prompt: 'Maximum tokens per reply', defaultValue: '4096', numeric: true }
+	],
+	getCapabilities() {
+		return { vision: true, tools: true, contextLength: 200000 };
+	},
+	async listModels(workspaceState) {
+		const endpoint = getProviderSetting(workspaceState, this.id, 'endpoint', ANTHROPIC_API_ENDPOINT) || DEFAULT_ANTHROPIC_ENDPOINT;
+		const response = await fetch(endpoint.replace(/\/messages\/?$/, '') + '/models', {
+			headers: { 'x-api-key': await getProviderApiKey(this.id), 'anthropic-version': ANTHROPIC_API_VERSION }
+		});
+		if (!response.ok) throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
+		const data = /** @type {any} */ (await response.json());
+		return (data.data || []).map(m => ({ name: m.id, context_length: 200000, multimodal: true }));
+	},
+	async selectModel(workspaceState, model) {
+		await storeSelectedModel(workspaceState, this.id, ANTHROPIC_SELECTED_MODEL, model.name, model.name);
+	},
+	getModelName(workspaceState) {
+		return getProviderSetting(workspaceState, this.id, 'model', ANTHROPIC_SELECTED_MODEL) || DEFAULT_ANTHROPIC_MODEL;
+	},
+	getDisplayName(workspaceState) {
+		return `Anthropic (${this.getModelName(workspaceState)})`;
+	},
+	async streamChat(workspaceState, messages, options) {
+		const endpoint = getProviderSetting(workspaceState, this.id, 'endpoint', ANTHROPIC_API_ENDPOINT) || DEFAULT_ANTHROPIC_ENDPOINT;
+		// System prompts are a top-level field; tool results are user turns made of tool_result blocks
+		const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+		const anthropicMessages = [];
+		for (const m of messages) {
+			if (m.role === 'system') continue;
+			if (m.role === 'tool') {
+				const block = { type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content };
+				const last = anthropicMessages[anthropicMessages.length - 1];
+				if (last && last.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+					last.content.push(block);
+				} else {
+					anthropicMessages.push({ role: 'user', content: [block] });
+				}
+				continue;
+			}
+			const blocks = [];
+			for (const img of m.images || []) {
+				const { mediaType, data } = parseImage(img);
+				blocks.push({ type: 'image', source: { type: 'base64', media_type: mediaType, data } });
+			}
+			// Text blocks must not be empty or whitespace only
+			if (m.content && m.content.trim()) blocks.push({ type: 'text', text: m.content });
+			for (const call of m.tool_calls || []) {
+				blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} });
+			}
+			// The API rejects messages without content (e.g. a reply stopped before any text)
+			if (blocks.length === 0) continue;
+			anthropicMessages.push({ role: m.role, content: blocks });
+		}
+
+		const body = {
+			model: options.model || this.getModelName(workspaceState),
+			max_tokens: getProviderSetting(workspaceState, this.id, 'maxTokens', ANTHROPIC_MAX_TOKENS) || 4096,
+			messages: anthropicMessages,
+			stream: true
+		};
+		if (system) body.system = system;
+		if (options.tools) {
+			body.tools = options.tools.map(t => ({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters }));
+		}
+
 		const response = await fetch(endpoint, {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
-				'Authorization': `Bearer ${apiKey}`
+				'x-api-key': await getProviderApiKey(this.id),
+				'anthropic-version': ANTHROPIC_API_VERSION
 			},
-			body: JSON.stringify({ model, messages, temperature, stream: true }),
-			signal: abortController.signal
+			body: JSON.stringify(body),
+			signal: options.signal
 		});
+		if (!response.ok) throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
 
-		if (!response.ok) throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-
-		const reader = response.body.getReader();
-		const decoder = new TextDecoder();
-		let buffer = '';
-		let fullResponse = '';
-
-		while (true) {
-			const { value, done } = await reader.read();
-			if (done) break;
-
-			buffer += decoder.decode(value, { stream: false });
-
-			while (true) {
-				const newlineIndex = buffer.indexOf('\n');
-				if (newlineIndex === -1) break;
-				let line = buffer.substring(0, newlineIndex).trim();
-				buffer = buffer.substring(newlineIndex + 1);
-				if (!line.startsWith('data:')) continue;
-				line = line.replace(/^data: /, '');
-				if (line === '[DONE]') {
-					if (webviewView) webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
+		// Server-sent events: "event: <type>" followed by "data: <json>"
+		let content = '';
+		let reasoning = '';
+		const blocks = [];
+		const usage = { promptTokens: 0, completionTokens: 0 };
+		let streamError = null;
+		await readResponseLines(response, rawLine => {
+			const line = rawLine.trim();
+			if (!line.startsWith('data:')) return;
+			let event;
+			try {
+				event = JSON.parse(line.replace(/^data: ?/, ''));
+			} catch {
+				return;
+			}
+			switch (event.type) {
+				case 'content_block_start':
+					blocks[event.index] = { ...event.content_block, partialJson: '' };
 					break;
-				}
-				try {
-					const data = JSON.parse(line);
-					const delta = data.choices?.[0]?.delta?.content;
-					if (delta) {
-						fullResponse += delta;
-						if (webviewView) webviewView.webview.postMessage({ command: 'addChunk', text: delta, sender: 'bot' });
+				case 'content_block_delta':
+					if (event.delta.type === 'text_delta') {
+						content += event.delta.text;
+						if (options.onDelta) options.onDelta(event.delta.text);
+					} else if (event.delta.type === 'thinking_delta') {
+						reasoning += event.delta.thinking;
+						if (options.onReasoning) options.onReasoning(event.delta.thinking);
+					} else if (event.delta.type === 'input_json_delta' && blocks[event.index]) {
+						blocks[event.index].partialJson += event.delta.partial_json;
 					}
-				} catch {
-					// ignore parse errors
+					break;
+				case 'message_start': {
+					const start = event.message?.usage || {};
+					usage.promptTokens = (start.input_tokens || 0) + (start.cache_read_input_tokens || 0) + (start.cache_creation_input_tokens || 0);
+					usage.completionTokens = start.output_tokens || 0;
+					break;
 				}
+				case 'message_delta':
+					// Output tokens so far; the last message_delta has the final count
+					if (event.usage && typeof event.usage.output_tokens === 'number') usage.completionTokens = event.usage.output_tokens;
+					break;
+				case 'error':
+					streamError = new Error(`Anthropic API error: ${event.error?.message || 'unknown error'}`);
+					break;
+				default:
+					// content_block_stop, message_stop, ping
+					break;
 			}
-		}
-		if (fullResponse) {
-			const botMessage = { text: fullResponse, sender: 'bot' };
-			chatHistory.push(botMessage);
-			workspaceState.update(OLLAMA_CHAT_HISTORY, chatHistory);
-		}
+		});
+		if (streamError) throw streamError;
 
-	} catch (error) {
-		if (webviewView) {
-			webviewView.webview.postMessage({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
-			webviewView.webview.postMessage({ command: 'resetSendButton' });
-		}
+		const toolCalls = blocks
+			.filter(b => b && b.type === 'tool_use')
+			.map(b => ({ id: b.id, name: b.name, args: parseToolArguments(b.partialJson) }));
+		return { content, toolCalls, reasoning, usage };
+	},
+	async configure() {
+		await configureProviderProfile(this);
 	}
-}
+};
 
-async function handleOllamaChat(providerInstance, images = null) {
-	const ollamaUrl = vscode.workspace.getConfiguration().get('vswizard.ollamaUrl') || 'http://localhost:11434';
-	const workspaceState = providerInstance._workspaceState;
-	const webviewView = providerInstance._webviewView;
-	const chatHistory = providerInstance._chatHistory || [];
-	const historyKey = OLLAMA_CHAT_HISTORY;
-	const partRespnonseKey = OLLAMA_PARTIAL_RESPONSE;
-	const abortSignal = providerInstance._abortController ? providerInstance._abortController.signal : null;
+/** @type {LLMProvider} */
+const azureOpenAIProvider = {
+	id: 'azure',
+	label: 'Azure OpenAI',
+	requiresApiKey: true,
+	profileFields: [
+		{ field: 'endpoint', prompt: 'Azure OpenAI resource endpoint (e.g. https://my-resource.openai.azure.com)' },
+		{ field: 'model', prompt: 'Deployment name' },
+		{ field: 'apiVersion', prompt: 'API version', defaultValue: DEFAULT_AZURE_API_VERSION },
+		{ field: 'contextLength', prompt: 'Context window of the deployed model (tokens)', defaultValue: String(DEFAULT_OPENAI_CONTEXT_LIMIT), numeric: true }
+	],
+	getCapabilities(workspaceState) {
+		return {
+			vision: true,
+			tools: true,
+			contextLength: getProviderSetting(workspaceState, this.id, 'contextLength', AZURE_OPENAI_CONTEXT_LENGTH) || DEFAULT_OPENAI_CONTEXT_LIMIT
+		};
+	},
+	// Azure exposes deployments rather than models; the configured deployment is the only choice
+	async listModels(workspaceState) {
+		const deployment = this.getModelName(workspaceState);
+		return deployment ? [{ name: deployment }] : [];
+	},
+	async selectModel(workspaceState, model) {
+		await storeSelectedModel(workspaceState, this.id, AZURE_OPENAI_DEPLOYMENT, model.name, model.name);
+	},
+	getModelName(workspaceState) {
+		return getProviderSetting(workspaceState, this.id, 'model', AZURE_OPENAI_DEPLOYMENT) || '';
+	},
+	getDisplayName(workspaceState) {
+		const deployment = this.getModelName(workspaceState);
+		return deployment ? `Azure (${deployment})` : '';
+	},
+	async streamChat(workspaceState, messages, options) {
+		const resource = String(getProviderSetting(workspaceState, this.id, 'endpoint', AZURE_OPENAI_ENDPOINT) || '').replace(/\/+$/, '');
+		const deployment = options.model || this.getModelName(workspaceState);
+		if (!resource || !deployment) throw new Error('Azure OpenAI endpoint and deployment are not configured. Run "wzd: Configure LLM Provider".');
+		const apiVersion = getProviderSetting(workspaceState, this.id, 'apiVersion', AZURE_OPENAI_API_VERSION) || DEFAULT_AZURE_API_VERSION;
+		const url = `${resource}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+		const body = { messages: toOpenAIMessages(messages) };
+		if (options.tools) body.tools = options.tools;
+		return streamOpenAICompatible(url, { 'api-key': await getProviderApiKey(this.id) }, body, options);
+	},
+	async configure() {
+		await configureProviderProfile(this);
+	}
+};
 
-	const selectedModel = workspaceState.get(OLLAMA_SELECTED_MODEL);
-	const model = selectedModel ? selectedModel.name : "llama2";
+/** @type {LLMProvider} */
+const llamaCppProvider = {
+	id: 'llamacpp',
+	label: 'llama.cpp / LM Studio',
+	requiresApiKey: false,
+	profileFields: [
+		{ field: 'endpoint', prompt: 'Server URL (llama.cpp: http://localhost:8080, LM Studio: http://localhost:1234)', defaultValue: DEFAULT_LLAMACPP_URL },
+		{ field: 'model', prompt: 'Model name (leave empty to pick one later with "List Models")' }
+	],
+	_getBaseUrl(workspaceState) {
+		return String(getProviderSetting(workspaceState, this.id, 'endpoint', LLAMACPP_URL) || DEFAULT_LLAMACPP_URL).replace(/\/+$/, '');
+	},
+	getCapabilities(workspaceState) {
+		let selectedModel = workspaceState.get(LLAMACPP_SELECTED_MODEL);
+		if (selectedModel && selectedModel.name !== this.getModelName(workspaceState)) selectedModel = undefined;
+		return {
+			vision: !!(selectedModel && selectedModel.multimodal),
+			tools: true,
+			contextLength: (selectedModel && selectedModel.context_length) || 4096
+		};
+	},
+	async listModels(workspaceState) {
+		const baseUrl = this._getBaseUrl(workspaceState);
+		const response = await fetch(`${baseUrl}/v1/models`);
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+		const data = /** @type {any} */ (await response.json());
+		// llama.cpp server reports its context size via /props; LM Studio does not have that endpoint
+		let contextLength = 4096;
+		try {
+			const props = await fetch(`${baseUrl}/props`);
+			if (props.ok) {
+				const propsData = /** @type {any} */ (await props.json());
+				contextLength = propsData.default_generation_settings?.n_ctx || propsData.n_ctx || contextLength;
+			}
+		} catch {
+			// keep default
+		}
+		return (data.data || []).map(m => ({
+			name: m.id,
+			context_length: m.meta?.n_ctx_train ? Math.min(contextLength, m.meta.n_ctx_train) : contextLength,
+			multimodal: false
+		}));
+	},
+	async selectModel(workspaceState, model) {
+		await storeSelectedModel(workspaceState, this.id, LLAMACPP_SELECTED_MODEL, model, model.name);
+	},
+	getModelName(workspaceState) {
+		const profile = getActiveProfileFor(this.id);
+		if (profile && profile.model) return profile.model;
+		const selectedModel = workspaceState.get(LLAMACPP_SELECTED_MODEL);
+		return selectedModel ? selectedModel.name : '';
+	},
+	getDisplayName(workspaceState) {
+		const name = this.getModelName(workspaceState);
+		return name ? `llama.cpp (${name})` : '';
+	},
+	async streamChat(workspaceState, messages, options) {
+		const baseUrl = this._getBaseUrl(workspaceState);
+		const body = { model: options.model || this.getModelName(workspaceState), messages: toOpenAIMessages(messages) };
+		if (options.tools) body.tools = options.tools;
+		return streamOpenAICompatible(`${baseUrl}/v1/chat/completions`, {}, body, options);
+	},
+	async configure() {
+		await configureProviderProfile(this);
+	}
+};
 
-	// Build chat messages from history (no textual "User:"/"Bot:" prefixes)
-	const messages = chatHistory.map(m => ({
-		role: m.sender === 'user' ? 'user' : 'assistant',
-		content: m.text
-	}));
+registerProvider(ollamaProvider);
+registerProvider(openaiProvider);
+registerProvider(anthropicProvider);
+registerProvider(azureOpenAIProvider);
+registerProvider(llamaCppProvider);
 
-	const requestBody = {
-		model,
-		messages,
-		stream: true
-	};
+// ---------------------------------------------------------------------------
+// Connection profiles: named provider settings, API keys kept in SecretStorage
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ConnectionProfile
+ * @property {string} name
+ * @property {string} provider id of a registered provider
+ * @property {string} [endpoint]
+ * @property {string} [model] model name (Azure: deployment name)
+ * @property {number} [temperature]
+ * @property {string} [systemPrompt]
+ * @property {string} [apiVersion] Azure OpenAI only
+ * @property {number} [maxTokens] Anthropic only
+ * @property {number} [contextLength] Azure OpenAI only
+ * @property {'global' | 'workspace'} [scope] where the profile is stored (set when listed)
+ */
 
-	// Attach images for multimodal models if available
-	if (images && Array.isArray(images) && images.length > 0) {
-		requestBody.images = images;
+class ProfileManager {
+	/**
+	 * @param {vscode.ExtensionContext} context
+	 */
+	constructor(context) {
+		this._globalState = context.globalState;
+		this._workspaceState = context.workspaceState;
+		this._secrets = context.secrets;
 	}
 
-	const response = await fetch(`${ollamaUrl || 'http://localhost:11434'}/api/chat`, {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json',
-		},
-		body: JSON.stringify(requestBody),
-		signal: abortSignal
-	});
+	/**
+	 * Global profiles overlaid with workspace profiles of the same name.
+	 * @returns {ConnectionProfile[]}
+	 */
+	getProfiles() {
+		const merged = new Map();
+		for (const p of this._globalState.get(VSWIZARD_PROFILES, [])) merged.set(p.name, { ...p, scope: 'global' });
+		for (const p of this._workspaceState.get(VSWIZARD_PROFILES, [])) merged.set(p.name, { ...p, scope: 'workspace' });
+		return Array.from(merged.values()).sort((a, b) => a.name.localeCompare(b.name));
+	}
 
-	if (!response.ok) {
-		throw new Error(`HTTP error! status: ${response.status}`);
+	getProfile(name) {
+		return this.getProfiles().find(p => p.name === name);
 	}
 
-	const reader = response.body.getReader();
-	const decoder = new TextDecoder();
-	let buffer = '';
-	let fullResponse = '';
+	/**
+	 * The workspace's active profile, falling back to the globally active one.
+	 * @returns {ConnectionProfile | undefined}
+	 */
+	getActiveProfile() {
+		// '' in the workspace means "no profile here", even if one is active globally
+		const workspaceName = this._workspaceState.get(VSWIZARD_ACTIVE_PROFILE);
+		const name = workspaceName !== undefined ? workspaceName : this._globalState.get(VSWIZARD_ACTIVE_PROFILE);
+		return name ? this.getProfile(name) : undefined;
+	}
 
-	while (true) {
-		const { value, done } = await reader.read();
-		if (done) break;
+	async setActiveProfile(name) {
+		await this._workspaceState.update(VSWIZARD_ACTIVE_PROFILE, name || '');
+		if (name) {
+			await this._globalState.update(VSWIZARD_ACTIVE_PROFILE, name);
+			await this._workspaceState.update(VSWIZARD_PROVIDER, this.getProfile(name)?.provider);
+		}
+	}
 
-		buffer += decoder.decode(value, { stream: false });
+	/**
+	 * @param {ConnectionProfile} profile
+	 * @param {'global' | 'workspace'} scope
+	 */
+	async saveProfile(profile, scope) {
+		const memento = scope === 'workspace' ? this._workspaceState : this._globalState;
+		const stored = { ...profile };
+		delete stored.scope;
+		const profiles = memento.get(VSWIZARD_PROFILES, []).filter(p => p.name !== profile.name);
+		profiles.push(stored);
+		await memento.update(VSWIZARD_PROFILES, profiles);
+	}
 
-		// Process complete JSON objects in the buffer
-		while (true) {
-			const newlineIndex = buffer.indexOf('\n');
-			if (newlineIndex === -1) break;
+	/**
+	 * Update fields of an existing profile in the scope it is stored in.
+	 * @param {string} name
+	 * @param {Partial<ConnectionProfile>} changes
+	 */
+	async updateProfile(name, changes) {
+		const profile = this.getProfile(name);
+		if (!profile) return;
+		await this.saveProfile({ ...profile, ...changes }, profile.scope);
+	}
 
-			const jsonLine = buffer.substring(0, newlineIndex);
-			buffer = buffer.substring(newlineIndex + 1);
+	async deleteProfile(name, scope) {
+		const memento = scope === 'workspace' ? this._workspaceState : this._globalState;
+		await memento.update(VSWIZARD_PROFILES, memento.get(VSWIZARD_PROFILES, []).filter(p => p.name !== name));
+		if (!this.getProfile(name)) {
+			await this._secrets.delete(profileSecretKey(name));
+			if (this._workspaceState.get(VSWIZARD_ACTIVE_PROFILE) === name) await this._workspaceState.update(VSWIZARD_ACTIVE_PROFILE, undefined);
+			if (this._globalState.get(VSWIZARD_ACTIVE_PROFILE) === name) await this._globalState.update(VSWIZARD_ACTIVE_PROFILE, undefined);
+		}
+	}
 
-			try {
-				const data = JSON.parse(jsonLine);
-				// Support /api/chat streaming (message.content) and fallback to legacy /api/generate (response)
-				const delta =
-					(data.message && typeof data.message.content === 'string')
-						? data.message.content
-						: (typeof data.response === 'string' ? data.response : '');
+	async getApiKey(name) {
+		return (await this._secrets.get(profileSecretKey(name))) || '';
+	}
 
-				if (delta) {
-					fullResponse += delta;
-					// Pass partial response in case user stops the stream
-					workspaceState.update(partRespnonseKey, fullResponse);
-					webviewView.webview.postMessage({ command: 'addChunk', text: delta, sender: 'bot' });
-				}
-				if (data.done) {
-					webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
-					const botMessage = { text: fullResponse, sender: 'bot' };
-					chatHistory.push(botMessage);
-					workspaceState.update(historyKey, chatHistory);
-					workspaceState.update(partRespnonseKey, ""); // Clear partial response
-					return fullResponse;
-				}
-			} catch (error) {
-				console.error('Error parsing JSON stream:', error);
-			}
-		}
+	async setApiKey(name, apiKey) {
+		await this._secrets.store(profileSecretKey(name), apiKey);
 	}
 
-	console.warn('Stream ended without a done signal.');
-	const botMessage = { text: fullResponse, sender: 'bot' };
-	chatHistory.push(botMessage);
-	workspaceState.update(historyKey, chatHistory);
-	return fullResponse;
+	/**
+	 * Move API keys and related values that older versions kept in plain workspaceState into a
+	 * global profile (one per provider), so other workspaces can use it too. Runs on activation;
+	 * legacy keys are removed once migrated.
+	 * @returns {Promise<string[]>} names of the profiles created
+	 */
+	async migrateLegacySettings() {
+		const ws = this._workspaceState;
+		const legacy = [
+			{
+				provider: 'openai', keyName: OPENAI_API_KEY,
+				profile: () => ({
+					endpoint: ws.get(OPENAI_API_ENDPOINT),
+					model: ws.get(OPENAI_SELECTED_MODEL),
+					temperature: ws.get(OPENAI_TEMPERATURE)
+				})
+			},
+			{
+				provider: 'anthropic', keyName: ANTHROPIC_API_KEY,
+				profile: () => ({
+					endpoint: ws.get(ANTHROPIC_API_ENDPOINT),
+					model: ws.get(ANTHROPIC_SELECTED_MODEL),
+					maxTokens: ws.get(ANTHROPIC_MAX_TOKENS)
+				})
+			},
+			{
+				provider: 'azure', keyName: AZURE_OPENAI_API_KEY,
+				profile: () => ({
+					endpoint: ws.get(AZURE_OPENAI_ENDPOINT),
+					model: ws.get(AZURE_OPENAI_DEPLOYMENT),
+					apiVersion: ws.get(AZURE_OPENAI_API_VERSION),
+					contextLength: ws.get(AZURE_OPENAI_CONTEXT_LENGTH)
+				})
+			}
+		];
+		const migrated = [];
+		for (const entry of legacy) {
+			const apiKey = ws.get(entry.keyName);
+			if (!apiKey) continue;
+			let name = `${entry.provider}-migrated`;
+			for (let i = 2; this.getProfile(name); i++) name = `${entry.provider}-migrated-${i}`;
+			const values = entry.profile();
+			/** @type {ConnectionProfile} */
+			const profile = { name, provider: entry.provider };
+			for (const [field, value] of Object.entries(values)) {
+				if (value !== undefined && value !== null && value !== '') profile[field] = value;
+			}
+			await this.saveProfile(profile, 'global');
+			await this.setApiKey(name, apiKey);
+			await ws.update(entry.keyName, undefined);
+			if ((ws.get(VSWIZARD_PROVIDER) || 'ollama') === entry.provider && !this.getActiveProfile()) {
+				await this.setActiveProfile(name);
+			}
+			migrated.push(name);
+		}
+		return migrated;
+	}
+}
+
+function profileSecretKey(name) {
+	return `vswizard.profile.${name}.apiKey`;
+}
+
+/**
+ * Active profile when it belongs to the given provider.
+ * @param {string} providerId
+ * @returns {ConnectionProfile | undefined}
+ */
+function getActiveProfileFor(providerId) {
+	const profile = profileManager ? profileManager.getActiveProfile() : undefined;
+	return profile && profile.provider === providerId ? profile : undefined;
+}
+
+/**
+ * Profile a provider's requests use: the active profile when it belongs to the provider, else the
+ * provider's first profile (e.g. for a compare column whose provider is not the active one).
+ * Endpoint, API key and the other settings all come from this one profile.
+ * @param {string} providerId
+ * @returns {ConnectionProfile | undefined}
+ */
+function getProfileFor(providerId) {
+	if (!profileManager) return undefined;
+	return getActiveProfileFor(providerId) || profileManager.getProfiles().find(p => p.provider === providerId);
+}
+
+/**
+ * Read a provider setting from the profile getProfileFor picks. Fields the active profile leaves
+ * empty fall back to the per-workspace value written by older versions (or model pickers); those
+ * values belong to the active provider, so another provider's profile never falls back to them.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} providerId
+ * @param {keyof ConnectionProfile} field
+ * @param {string | null} legacyKey
+ */
+function getProviderSetting(workspaceState, providerId, field, legacyKey) {
+	const active = getActiveProfileFor(providerId);
+	const profile = active || getProfileFor(providerId);
+	if (profile && profile[field] !== undefined && profile[field] !== '') return profile[field];
+	if (profile && !active) return undefined;
+	return legacyKey ? workspaceState.get(legacyKey) : undefined;
+}
+
+// API key for a provider, from the same profile as its other settings
+async function getProviderApiKey(providerId) {
+	const profile = getProfileFor(providerId);
+	return profile ? profileManager.getApiKey(profile.name) : '';
+}
+
+// Ollama base URL: an Ollama profile's endpoint overrides the vswizard.ollamaUrl setting
+function getOllamaUrl() {
+	const profile = getProfileFor('ollama');
+	return (profile && profile.endpoint) || vscode.workspace.getConfiguration().get('vswizard.ollamaUrl') || 'http://localhost:11434';
+}
+
+/**
+ * Create or edit a profile for a provider with a series of input boxes.
+ * Prompts come from the provider's profileFields; API keys go to SecretStorage.
+ * @param {LLMProvider} provider
+ * @param {ConnectionProfile} [existing]
+ * @returns {Promise<ConnectionProfile | undefined>}
+ */
+async function editProfileInteractively(provider, existing) {
+	let name = existing?.name;
+	let scope = existing?.scope;
+	if (!existing) {
+		name = await promptForSetting(`Profile name (e.g. home-${provider.id})`, `${provider.id}-default`);
+		if (!name) return undefined;
+		const scopePick = await vscode.window.showQuickPick([
+			{ label: 'Global', description: 'Available in every workspace', value: 'global' },
+			{ label: 'This workspace', description: 'Overrides a global profile with the same name', value: 'workspace' }
+		], { placeHolder: 'Where should the profile be stored?' });
+		if (!scopePick) return undefined;
+		scope = /** @type {'global' | 'workspace'} */ (scopePick.value);
+	}
+
+	/** @type {ConnectionProfile} */
+	const profile = { ...(existing || {}), name, provider: provider.id };
+	for (const field of provider.profileFields || []) {
+		const current = profile[field.field] !== undefined ? String(profile[field.field]) : (field.defaultValue || '');
+		const value = await promptForSetting(field.prompt, current);
+		if (value === undefined) return undefined;
+		if (value === '') {
+			delete profile[field.field];
+		} else {
+			profile[field.field] = field.numeric ? Number(value) : value;
+		}
+	}
+	const systemPrompt = await promptForSetting('System prompt for this profile (optional)', profile.systemPrompt || '');
+	if (systemPrompt === undefined) return undefined;
+	profile.systemPrompt = systemPrompt || undefined;
+
+	if (provider.requiresApiKey) {
+		const hasKey = !!(await profileManager.getApiKey(name));
+		const apiKey = await promptForSetting(hasKey ? 'API key (leave empty to keep the stored key)' : 'API key', '', true);
+		if (apiKey === undefined) return undefined;
+		if (apiKey) await profileManager.setApiKey(name, apiKey);
+	}
+
+	await profileManager.saveProfile(profile, scope);
+	return profileManager.getProfile(name);
+}
+
+/**
+ * Configure a provider: edit the active profile for it, or create one.
+ * @param {LLMProvider} provider
+ */
+async function configureProviderProfile(provider) {
+	const existing = getActiveProfileFor(provider.id) || profileManager.getProfiles().find(p => p.provider === provider.id);
+	const profile = await editProfileInteractively(provider, existing);
+	if (profile) {
+		await profileManager.setActiveProfile(profile.name);
+		vscode.window.showInformationMessage(`${provider.label} profile "${profile.name}" saved.`);
+	}
+}
+
+// Send the profile list and the active profile to the chat view header switcher
+function postProfiles(providerInstance) {
+	const webviewView = providerInstance._webviewView;
+	if (!webviewView || !profileManager) return;
+	const active = profileManager.getActiveProfile();
+	webviewView.webview.postMessage({
+		command: 'setProfiles',
+		profiles: profileManager.getProfiles().map(p => ({ name: p.name, provider: p.provider, scope: p.scope })),
+		active: active ? active.name : ''
+	});
+}
+
+/**
+ * Make a profile active and refresh everything that depends on the provider/model.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} name
+ */
+async function activateProfile(workspaceState, name) {
+	await profileManager.setActiveProfile(name);
+	const profile = profileManager.getProfile(name);
+	// Ollama keeps model details (context length, vision) next to the name; refresh them
+	if (profile && profile.provider === 'ollama' && profile.model) {
+		const selected = workspaceState.get(OLLAMA_SELECTED_MODEL);
+		if (!selected || selected.name !== profile.model) {
+			try {
+				const models = await listOllamaModels(getOllamaUrl());
+				const match = models.find(m => m.name === profile.model);
+				if (match) await workspaceState.update(OLLAMA_SELECTED_MODEL, match);
+			} catch (err) {
+				console.error('Failed to load Ollama model details for profile:', err);
+			}
+		}
+	}
+	if (chatViewProviderInstance) {
+		postModelInfo(chatViewProviderInstance);
+		postProfiles(chatViewProviderInstance);
+	}
+}
+
+// The active profile's system prompt, when that profile belongs to the provider in use
+function getProfileSystemPrompt(providerId) {
+	const profile = getActiveProfileFor(providerId);
+	return profile && profile.systemPrompt ? profile.systemPrompt : '';
+}
+
+// Send the selected provider's model name and image capability to the webview
+function postModelInfo(providerInstance) {
+	const webviewView = providerInstance._webviewView;
+	if (!webviewView) return;
+	const provider = getActiveProvider(providerInstance._workspaceState);
+	const displayName = provider.getDisplayName(providerInstance._workspaceState);
+	webviewView.webview.postMessage({ command: 'setMultimodal', multimodal: provider.getCapabilities(providerInstance._workspaceState).vision });
+	webviewView.webview.postMessage({ command: 'setImageOptions', maxDimension: vscode.workspace.getConfiguration('vswizard').get('images.maxDimension', 1024) });
+	webviewView.webview.postMessage({ command: 'setModelName', modelName: displayName || '<Select LLM please>' });
+}
+
+/**
+ * Streaming options shared by handleChat and continueReply: reasoning and answer text are posted
+ * to the chat view as they arrive and collected in the returned `text` and `reasoning`.
+ * @param {ChatViewProvider} providerInstance
+ * @param {AbortSignal | null} signal
+ * @param {(text: string) => void} onText called with the answer text so far
+ * @returns {{text: string, reasoning: string, options: StreamChatOptions}}
+ */
+function createReplyStream(providerInstance, signal, onText) {
+	const webviewView = providerInstance._webviewView;
+	const stream = { text: '', reasoning: '', options: {} };
+	stream.options = {
+		signal,
+		think: shouldRequestReasoning(),
+		onReasoning: delta => {
+			stream.reasoning += delta;
+			if (webviewView) webviewView.webview.postMessage({ command: 'addReasoningChunk', text: delta });
+		},
+		onDelta: delta => {
+			stream.text += delta;
+			onText(stream.text);
+			if (webviewView) webviewView.webview.postMessage({ command: 'addChunk', text: delta, sender: 'bot' });
+		}
+	};
+	return stream;
+}
+
+/**
+ * Stream a reply from the active provider for the current chat history.
+ * Shared by sendMessage and getFileContext; images travel with the user messages they belong to.
+ * @param {ChatViewProvider} providerInstance
+ * @param {string} [model] model to use instead of the selected one (e.g. from a prompt template)
+ * @returns {Promise<boolean>} true when a reply was stored (including one stopped by the user)
+ */
+async function handleChat(providerInstance, model = undefined) {
+	const workspaceState = providerInstance._workspaceState;
+	const webviewView = providerInstance._webviewView;
+	const abortSignal = providerInstance._abortController ? providerInstance._abortController.signal : null;
+	const provider = getActiveProvider(workspaceState);
+
+	const systemPrompt = buildSystemPrompt(workspaceState, provider.id);
+	const overflow = await applyContextBudget(providerInstance, provider.id, systemPrompt ? countTokens(systemPrompt) : 0, { model });
+	if (overflow) {
+		if (webviewView) {
+			webviewView.webview.postMessage({ command: 'addMessage', text: `Error: ${overflow}`, sender: 'bot' });
+			webviewView.webview.postMessage({ command: 'resetSendButton' });
+		}
+		return false;
+	}
+	const chatHistory = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+
+	// Build chat messages from history (no textual "User:"/"Bot:" prefixes)
+	const messages = historyToMessages(chatHistory, model || provider.getModelName(workspaceState));
+	if (systemPrompt) messages.unshift({ role: 'system', content: systemPrompt });
+
+	// A new message may be sent before a stopped stream settles, so the reply goes after its prompt
+	const prompt = chatHistory[chatHistory.length - 1];
+	const sessionId = workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+	// Kept until the reply is stored, so it can be recovered if the window closes mid-stream
+	const stream = createReplyStream(providerInstance, abortSignal, text => workspaceState.update(OLLAMA_PARTIAL_RESPONSE, { sessionId, text }));
+	try {
+		const result = await requestChat(provider, workspaceState, messages, { ...stream.options, model }, 'chat');
+		if (webviewView) webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
+		if (stream.text) {
+			chatHistory.push({ text: stream.text, sender: 'bot', reasoning: messageReasoning(result), usage: messageUsage(result.usage) });
+			persistChatHistory(workspaceState, chatHistory);
+			titleCurrentSession(workspaceState);
+		}
+		workspaceState.update(OLLAMA_PARTIAL_RESPONSE, undefined);
+		return !!stream.text;
+	} catch (error) {
+		workspaceState.update(OLLAMA_PARTIAL_RESPONSE, undefined);
+		const reasoning = messageReasoning({ reasoning: stream.reasoning });
+		if (error.name === 'AbortError') {
+			if (webviewView) webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
+			const stored = storePartialReply(workspaceState, chatHistory, prompt, stream.text, 'stopped', reasoning);
+			return stored && !isSuperseded(providerInstance, abortSignal);
+		}
+		if (storePartialReply(workspaceState, chatHistory, prompt, stream.text, 'error', reasoning)) refreshHistoryView(providerInstance);
+		if (webviewView) {
+			webviewView.webview.postMessage({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
+			webviewView.webview.postMessage({ command: 'resetSendButton' });
+		}
+		return false;
+	}
+}
+
+// Whether a newer request aborted this one (rather than the Stop button); it refreshes the view itself
+function isSuperseded(providerInstance, abortSignal) {
+	return !!providerInstance._abortController && providerInstance._abortController.signal !== abortSignal;
+}
+
+/**
+ * Store a reply that did not finish, marked as truncated, right after the prompt it answers.
+ * @param {vscode.Memento} workspaceState
+ * @param {Array<{text: string, sender: string}>} chatHistory
+ * @param {{text: string, sender: string}} prompt
+ * @param {string} text
+ * @param {'stopped' | 'error' | 'interrupted'} reason
+ * @param {{text: string, durationMs?: number}} [reasoning] reasoning streamed before the reply stopped
+ * @returns {boolean} true when a reply was stored
+ */
+function storePartialReply(workspaceState, chatHistory, prompt, text, reason, reasoning) {
+	const index = chatHistory.indexOf(prompt) + 1;
+	if (!text || index === 0) return false;
+	chatHistory.splice(index, 0, reasoning ? { text, sender: 'bot', reasoning, truncated: reason } : { text, sender: 'bot', truncated: reason });
+	persistChatHistory(workspaceState, chatHistory);
+	return true;
+}
+
+const CONTINUE_PROMPT = 'Your previous reply was cut off. Continue it exactly where it stopped, without repeating any of it or adding an introduction.';
+
+/**
+ * Ask the model to finish a truncated reply (the last message of the chat) and append the
+ * continuation to it.
+ * @param {ChatViewProvider} providerInstance
+ * @param {number} index history index of the truncated reply
+ * @returns {Promise<boolean>} true when the reply changed
+ */
+async function continueReply(providerInstance, index) {
+	const workspaceState = providerInstance._workspaceState;
+	const webviewView = providerInstance._webviewView;
+	const history = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	providerInstance._chatHistory = history;
+	const entry = history[index];
+	if (!entry || entry.sender !== 'bot' || !entry.truncated || index !== history.length - 1) return false;
+
+	const provider = getActiveProvider(workspaceState);
+	const systemPrompt = buildSystemPrompt(workspaceState, provider.id);
+	const messages = historyToMessages(history, provider.getModelName(workspaceState));
+	if (systemPrompt) messages.unshift({ role: 'system', content: systemPrompt });
+	messages.push({ role: 'user', content: CONTINUE_PROMPT });
+
+	const sessionId = workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+	const signal = providerInstance._abortController ? providerInstance._abortController.signal : null;
+	const stream = createReplyStream(providerInstance, signal, text => workspaceState.update(OLLAMA_PARTIAL_RESPONSE, { sessionId, text, continues: true }));
+	try {
+		const result = await requestChat(provider, workspaceState, messages, stream.options, 'chat');
+		if (webviewView) webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
+		appendToReply(entry, stream.text, messageReasoning(result));
+		delete entry.truncated;
+		return true;
+	} catch (error) {
+		appendToReply(entry, stream.text, messageReasoning({ reasoning: stream.reasoning }));
+		if (error.name === 'AbortError') {
+			if (webviewView) webviewView.webview.postMessage({ command: 'streamDone', sender: 'bot' });
+			return true;
+		}
+		// The reply now ends where the continuation failed
+		if (stream.text) entry.truncated = 'error';
+		refreshHistoryView(providerInstance);
+		if (webviewView) {
+			webviewView.webview.postMessage({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
+			webviewView.webview.postMessage({ command: 'resetSendButton' });
+		}
+		return false;
+	} finally {
+		workspaceState.update(OLLAMA_PARTIAL_RESPONSE, undefined);
+		persistChatHistory(workspaceState, history);
+	}
+}
+
+// Add a continuation and its reasoning to a truncated reply
+function appendToReply(entry, text, reasoning) {
+	entry.text += text;
+	if (!reasoning) return;
+	entry.reasoning = entry.reasoning
+		? { text: `${entry.reasoning.text}\n\n${reasoning.text}`, durationMs: (entry.reasoning.durationMs || 0) + (reasoning.durationMs || 0) }
+		: reasoning;
+}
+
+/**
+ * Add a reply that was still streaming when the window closed to the session it belongs to.
+ * Older versions stored the partial text as a plain string for the current session.
+ * @param {vscode.Memento} workspaceState
+ */
+function recoverPartialResponse(workspaceState) {
+	const partial = workspaceState.get(OLLAMA_PARTIAL_RESPONSE);
+	const text = typeof partial === 'string' ? partial : partial && partial.text;
+	if (!text) return;
+	workspaceState.update(OLLAMA_PARTIAL_RESPONSE, undefined);
+
+	const currentId = workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+	const sessionId = (partial && partial.sessionId) || currentId;
+	const sessions = getSessions(workspaceState);
+	const session = sessions.find(s => s.id === sessionId);
+	const history = session ? session.history || [] : workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	const last = history[history.length - 1];
+	if (partial.continues && last && last.sender === 'bot' && last.truncated) {
+		last.text += text;
+	} else if (!partial.continues && last && last.sender === 'user') {
+		history.push({ text, sender: 'bot', truncated: 'interrupted' });
+	} else {
+		return;
+	}
+	if (session) {
+		session.updatedAt = Date.now();
+		saveSessions(workspaceState, sessions);
+	}
+	if (!session || sessionId === currentId) workspaceState.update(OLLAMA_CHAT_HISTORY, history);
+}
+
+// ---------------------------------------------------------------------------
+// Proposed edits: diff preview before anything is written
+// ---------------------------------------------------------------------------
+
+// Holds contents for PROPOSED_CONTENT_SCHEME documents, keyed by the virtual URI string
+const proposedContentProvider = {
+	contents: new Map(),
+	provideTextDocumentContent(uri) {
+		return this.contents.get(uri.toString()) || '';
+	}
+};
+
+/**
+ * Resolve a workspace-relative path, refusing anything that escapes the first workspace folder.
+ * @param {string} relPath
+ * @returns {vscode.Uri}
+ */
+function resolveWorkspacePath(relPath) {
+	const folder = vscode.workspace.workspaceFolders?.[0];
+	if (!folder) throw new Error('No workspace folder is open');
+	const root = folder.uri;
+	const normalized = path.posix.normalize(String(relPath || '.').replace(/\\/g, '/')).replace(/^\/+/, '');
+	if (normalized === '..' || normalized.startsWith('../')) {
+		throw new Error(`Path is outside the workspace: ${relPath}`);
+	}
+	return normalized === '.' ? root : vscode.Uri.joinPath(root, normalized);
+}
+
+function workspaceRelativePath(uri) {
+	return vscode.workspace.asRelativePath(uri, false);
+}
+
+/**
+ * Show a diff between a file and proposed content, then ask the user whether to apply it.
+ * @param {vscode.Uri} targetUri
+ * @param {string} newContent
+ * @param {string} title
+ * @returns {Promise<boolean>} true when the user accepted and the edit was applied
+ */
+async function previewAndApplyEdit(targetUri, newContent, title) {
+	let exists = true;
+	try {
+		await vscode.workspace.fs.stat(targetUri);
+	} catch {
+		exists = false;
+	}
+	const proposedUri = vscode.Uri.from({ scheme: PROPOSED_CONTENT_SCHEME, path: targetUri.path, query: String(Date.now()) });
+	proposedContentProvider.contents.set(proposedUri.toString(), newContent);
+	const leftUri = exists ? targetUri : vscode.Uri.from({ scheme: PROPOSED_CONTENT_SCHEME, path: targetUri.path, query: 'empty' });
+	if (!exists) proposedContentProvider.contents.set(leftUri.toString(), '');
+
+	try {
+		await vscode.commands.executeCommand('vscode.diff', leftUri, proposedUri, title, { preview: true });
+		const choice = await vscode.window.showInformationMessage(
+			`${title}: apply this change to ${workspaceRelativePath(targetUri)}?`,
+			{ modal: true },
+			'Apply'
+		);
+		if (choice !== 'Apply') return false;
+
+		const edit = new vscode.WorkspaceEdit();
+		if (exists) {
+			const document = await vscode.workspace.openTextDocument(targetUri);
+			const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+			edit.replace(targetUri, fullRange, newContent);
+		} else {
+			edit.createFile(targetUri, { ignoreIfExists: true });
+			edit.insert(targetUri, new vscode.Position(0, 0), newContent);
+		}
+		return await vscode.workspace.applyEdit(edit);
+	} finally {
+		proposedContentProvider.contents.delete(proposedUri.toString());
+		proposedContentProvider.contents.delete(leftUri.toString());
+	}
+}
+
+/**
+ * Work out which file a code block should be applied to. A hint (file name or relative path taken
+ * from the reply) is matched against the workspace; otherwise the active editor's file is used.
+ * @param {string} fileHint
+ * @returns {Promise<vscode.Uri | undefined>}
+ */
+async function resolveCodeBlockTarget(fileHint) {
+	const activeUri = vscode.window.activeTextEditor?.document.uri;
+	const hint = String(fileHint || '').trim().replace(/\\/g, '/');
+	if (!hint) return activeUri;
+	if (activeUri && (activeUri.path.endsWith('/' + hint) || activeUri.path === hint)) return activeUri;
+
+	const candidates = await vscode.workspace.findFiles(`**/${hint.replace(/^(\.\/)+/, '')}`, '**/node_modules/**', 20);
+	if (candidates.length === 1) return candidates[0];
+	if (candidates.length > 1) {
+		const picked = await vscode.window.showQuickPick(
+			candidates.map(uri => ({ label: workspaceRelativePath(uri), uri })),
+			{ placeHolder: `Several files match ${hint}. Select the target file` }
+		);
+		return picked?.uri;
+	}
+	return activeUri;
+}
+
+// ---------------------------------------------------------------------------
+// Editor code actions: Explain, Refactor, Add Doc Comment and Generate Tests
+// ---------------------------------------------------------------------------
+
+// Symbol kinds treated as "the enclosing function" when nothing is selected
+const FUNCTION_SYMBOL_KINDS = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor];
+
+// Innermost function-like symbol containing position (DocumentSymbol or SymbolInformation results)
+function findEnclosingFunction(symbols, position) {
+	let found;
+	for (const symbol of symbols || []) {
+		const range = symbol.range || (symbol.location && symbol.location.range);
+		if (!range || !range.contains(position)) continue;
+		if (FUNCTION_SYMBOL_KINDS.includes(symbol.kind)) found = symbol;
+		const inner = findEnclosingFunction(symbol.children, position);
+		if (inner) found = inner;
+	}
+	return found;
+}
+
+/**
+ * The code a code action works on: the selection, else the enclosing function, else the line.
+ * The range is widened to whole lines so replacements keep their indentation.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ */
+async function getCodeActionTarget(document, range) {
+	let target = range;
+	let symbolName = '';
+	if (target.isEmpty) {
+		const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+		const symbol = findEnclosingFunction(symbols, target.start);
+		if (symbol) {
+			target = symbol.range || symbol.location.range;
+			symbolName = symbol.name;
+		} else {
+			target = document.lineAt(target.start.line).range;
+		}
+	}
+	// A selection ending at column 0 does not include that last line
+	const endLine = target.end.character === 0 && target.end.line > target.start.line ? target.end.line - 1 : target.end.line;
+	const fullRange = new vscode.Range(target.start.line, 0, endLine, document.lineAt(endLine).text.length);
+	const relPath = workspaceRelativePath(document.uri);
+	return {
+		document,
+		range: fullRange,
+		text: document.getText(fullRange),
+		symbolName,
+		location: `${relPath}:${fullRange.start.line + 1}-${fullRange.end.line + 1}`
+	};
+}
+
+// Code block in the chat message format; loadHistory hides the content between the markers
+function formatCodeForPrompt(target) {
+	return `[File: ${target.location}]\n[File Content Start]\n\`\`\`${target.document.languageId}\n${target.text}\n\`\`\`\n[File Content End]`;
+}
+
+// First fenced code block of a reply, or the whole reply when there is none
+function extractFirstCodeBlock(text) {
+	const match = /```[^\n]*\n([\s\S]*?)```/.exec(text);
+	return (match ? match[1] : text).replace(/\n$/, '');
+}
+
+// Where a test for sourceUri should go, following the naming of existing tests in the workspace
+async function detectTestConventions(sourceUri) {
+	const ext = path.extname(sourceUri.fsPath);
+	const base = path.basename(sourceUri.fsPath, ext);
+	const examples = await vscode.workspace.findFiles('**/{*.test.*,*.spec.*,*_test.*,test_*.*}', '**/node_modules/**', 50);
+	const example = examples.find(uri => path.extname(uri.fsPath) === ext) || examples[0];
+
+	let fileName;
+	const exampleName = example ? path.basename(example.fsPath) : '';
+	if (/\.spec\.[^.]+$/.test(exampleName)) fileName = `${base}.spec${ext}`;
+	else if (/\.test\.[^.]+$/.test(exampleName)) fileName = `${base}.test${ext}`;
+	else if (/_test\.[^.]+$/.test(exampleName)) fileName = `${base}_test${ext}`;
+	else if (/^test_/.test(exampleName)) fileName = `test_${base}${ext}`;
+	else if (ext === '.py') fileName = `test_${base}${ext}`;
+	else if (ext === '.go') fileName = `${base}_test${ext}`;
+	else fileName = `${base}.test${ext}`;
+
+	// JavaScript/TypeScript projects name their framework in package.json
+	let framework = '';
+	const folder = vscode.workspace.getWorkspaceFolder(sourceUri);
+	if (folder) {
+		try {
+			const raw = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(folder.uri, 'package.json'));
+			const pkg = JSON.parse(Buffer.from(raw).toString('utf8'));
+			const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+			framework = ['vitest', 'jest', 'mocha', 'ava', 'jasmine', '@playwright/test', 'node:test'].find(name => name in deps) || '';
+		} catch {
+			// No package.json (or not JSON): rely on the example test
+		}
+	}
+
+	let exampleText = '';
+	if (example) {
+		const raw = await vscode.workspace.fs.readFile(example);
+		exampleText = Buffer.from(raw).toString('utf8').split('\n').slice(0, 40).join('\n');
+	}
+	return {
+		testUri: vscode.Uri.file(path.join(path.dirname(sourceUri.fsPath), fileName)),
+		framework,
+		examplePath: example ? workspaceRelativePath(example) : '',
+		exampleText
+	};
+}
+
+/**
+ * Ask the active provider for replacement code for the target lines.
+ * @param {vscode.Memento} workspaceState
+ * @param {{document: vscode.TextDocument, range: vscode.Range, text: string, location: string}} target
+ * @param {string} instruction
+ * @param {AbortSignal} signal
+ * @returns {Promise<string>} the full new file content
+ */
+async function requestReplacement(workspaceState, target, instruction, signal) {
+	const provider = getActiveProvider(workspaceState);
+	/** @type {ChatMessage[]} */
+	const messages = [
+		{
+			role: 'system',
+			content: 'You rewrite code. Reply with exactly one fenced code block containing the complete replacement ' +
+				'for the given lines, keeping their indentation. No explanations.'
+		},
+		{ role: 'user', content: `${instruction}\n\n${formatCodeForPrompt(target)}` }
+	];
+	const result = await requestChat(provider, workspaceState, messages, { signal }, 'code action');
+	const document = target.document;
+	const replacement = extractFirstCodeBlock(result.content);
+	const text = document.getText();
+	return text.slice(0, document.offsetAt(target.range.start)) + replacement + text.slice(document.offsetAt(target.range.end));
+}
+
+/**
+ * Ask the active provider for replacement code and show it as a diff against the file.
+ * @param {vscode.Memento} workspaceState
+ * @param {{document: vscode.TextDocument, range: vscode.Range, text: string, location: string}} target
+ * @param {string} instruction
+ * @param {string} title diff editor title
+ */
+async function previewReplacement(workspaceState, target, instruction, title) {
+	const abortController = new AbortController();
+	const newContent = await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: `VSWizard: ${title}...`,
+		cancellable: true
+	}, async (_progress, token) => {
+		token.onCancellationRequested(() => abortController.abort());
+		return requestReplacement(workspaceState, target, instruction, abortController.signal);
+	});
+	return previewAndApplyEdit(target.document.uri, newContent, `${title}: ${target.location}`);
+}
+
+/**
+ * Code action commands. `prompt` builds the instruction; `replace` marks actions that ask for a
+ * direct replacement (diff preview) instead of a chat answer, `tests` the test generator.
+ */
+const CODE_ACTION_COMMANDS = [
+	{
+		command: 'vswizard.explainCode',
+		label: 'Explain',
+		title: 'Explain with VSWizard',
+		prompt: target => `Explain what ${target.symbolName ? `\`${target.symbolName}\`` : 'this code'} does: its purpose, inputs, outputs, side effects and anything surprising.`
+	},
+	{
+		command: 'vswizard.refactorCode',
+		label: 'Refactor',
+		title: 'Refactor with VSWizard',
+		prompt: () => 'Suggest a refactoring of this code that improves readability and structure without changing its behavior. Show the refactored code and explain the changes briefly.'
+	},
+	{
+		command: 'vswizard.refactorCodeInPlace',
+		label: 'Refactor',
+		title: 'Refactor with VSWizard (preview edit)',
+		replace: true,
+		prompt: () => 'Refactor this code to improve readability and structure without changing its behavior.'
+	},
+	{
+		command: 'vswizard.addDocComment',
+		label: 'Add Doc Comment',
+		title: 'Add Doc Comment with VSWizard',
+		prompt: target => `Write a doc comment for ${target.symbolName ? `\`${target.symbolName}\`` : 'this code'} in the idiomatic style for ${target.document.languageId} (e.g. JSDoc, docstring). Show the code with the comment added.`
+	},
+	{
+		command: 'vswizard.addDocCommentInPlace',
+		label: 'Add Doc Comment',
+		title: 'Add Doc Comment with VSWizard (preview edit)',
+		replace: true,
+		prompt: target => `Add a doc comment in the idiomatic style for ${target.document.languageId} (e.g. JSDoc, docstring) to this code. Do not change the code itself.`
+	},
+	{
+		command: 'vswizard.generateTests',
+		label: 'Generate Unit Tests',
+		title: 'Generate Unit Tests with VSWizard',
+		tests: true,
+		prompt: () => 'Write unit tests for this code.'
+	}
+];
+
+/**
+ * Run a code action command on a document range (from the lightbulb) or the active selection.
+ * @param {vscode.Memento} workspaceState
+ * @param {typeof CODE_ACTION_COMMANDS[number]} action
+ * @param {vscode.Uri} [uri]
+ * @param {vscode.Range} [range]
+ */
+async function runCodeAction(workspaceState, action, uri, range) {
+	const editor = vscode.window.activeTextEditor;
+	const document = uri ? await vscode.workspace.openTextDocument(uri) : editor && editor.document;
+	if (!document) {
+		vscode.window.showInformationMessage('Open a file and select some code first.');
+		return;
+	}
+	const target = await getCodeActionTarget(document, range || editor.selection);
+	const instruction = action.prompt(target);
+
+	if (action.replace) {
+		try {
+			await previewReplacement(workspaceState, target, instruction, action.label);
+		} catch (error) {
+			if (error.name !== 'AbortError') vscode.window.showErrorMessage(`VSWizard: ${error.message}`);
+		}
+		return;
+	}
+
+	let fullText = `${instruction}\n\n${formatCodeForPrompt(target)}`;
+	let tests;
+	if (action.tests) {
+		tests = await detectTestConventions(document.uri);
+		fullText += `\n\nThe tests go in ${workspaceRelativePath(tests.testUri)}.`;
+		if (tests.framework) fullText += ` The project uses ${tests.framework}.`;
+		if (tests.exampleText) {
+			fullText += ` Follow the conventions of the existing test ${tests.examplePath}:\n[File Content Start]\n\`\`\`\n${tests.exampleText}\n\`\`\`\n[File Content End]`;
+		}
+		fullText += '\nReply with the complete test file in a single code block.';
+	}
+	const reply = await chatViewProviderInstance.submitPrompt(fullText, `${action.label} [${target.location}]`);
+
+	if (tests && reply) {
+		const relPath = workspaceRelativePath(tests.testUri);
+		const choice = await vscode.window.showInformationMessage(`Create ${relPath} from the generated tests?`, 'Create');
+		if (choice === 'Create') {
+			await previewAndApplyEdit(tests.testUri, extractFirstCodeBlock(reply) + '\n', `Generated tests: ${relPath}`);
+		}
+	}
+}
+
+// Lightbulb entries: "Fix with VSWizard" for diagnostics, code actions for a non-empty selection
+class VSWizardCodeActionProvider {
+	provideCodeActions(document, range, context) {
+		const actions = [];
+		for (const diagnostic of context.diagnostics) {
+			if (diagnostic.severity > vscode.DiagnosticSeverity.Warning) continue;
+			const message = diagnostic.message.split('\n')[0];
+			const title = `Fix with VSWizard: ${message.length > 60 ? message.slice(0, 60) + '…' : message}`;
+			const fix = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+			fix.diagnostics = [diagnostic];
+			fix.command = { command: 'vswizard.fixDiagnostic', title, arguments: [document.uri, diagnostic] };
+			actions.push(fix);
+		}
+		if (!range.isEmpty) {
+			for (const action of CODE_ACTION_COMMANDS) {
+				const codeAction = new vscode.CodeAction(action.title, VSWizardCodeActionProvider.kind);
+				codeAction.command = { command: action.command, title: action.title, arguments: [document.uri, range] };
+				actions.push(codeAction);
+			}
+		}
+		return actions;
+	}
+}
+VSWizardCodeActionProvider.kind = vscode.CodeActionKind.Refactor.append('vswizard');
+VSWizardCodeActionProvider.providedKinds = [VSWizardCodeActionProvider.kind, vscode.CodeActionKind.QuickFix];
+
+// ---------------------------------------------------------------------------
+// Diagnostics quick fixes: "Fix with VSWizard" and "Fix all problems in file"
+// ---------------------------------------------------------------------------
+
+// Largest enclosing function sent as context for a fix; bigger ones get a window around the problem
+const FIX_MAX_FUNCTION_LINES = 150;
+const FIX_CONTEXT_LINES = 8;
+
+// Lines that bring names into scope (imports, requires, includes, using/use declarations)
+const IMPORT_LINE_PATTERN = /^\s*(import\b|from\s+\S+\s+import\b|export\s+.*\bfrom\b|(const|let|var)\s+.*=\s*require\(|#include\b|using\s+[\w.]+\s*;|use\s+[\w:]+|require\s|package\s)/;
+
+function getImportLines(document) {
+	const lines = [];
+	for (let i = 0; i < Math.min(document.lineCount, 200); i++) {
+		const text = document.lineAt(i).text;
+		if (IMPORT_LINE_PATTERN.test(text)) lines.push(text);
+	}
+	return lines.join('\n');
+}
+
+// Errors and warnings of a file, in document order
+function getFixableDiagnostics(uri) {
+	return vscode.languages.getDiagnostics(uri)
+		.filter(d => d.severity <= vscode.DiagnosticSeverity.Warning)
+		.sort((a, b) => a.range.start.compareTo(b.range.start));
+}
+
+// Code sent along with a diagnostic: the enclosing function, or a window of lines around it
+async function getDiagnosticTarget(document, diagnostic) {
+	const target = await getCodeActionTarget(document, new vscode.Range(diagnostic.range.start, diagnostic.range.start));
+	if (target.symbolName && target.range.end.line - target.range.start.line <= FIX_MAX_FUNCTION_LINES) return target;
+	const startLine = Math.max(0, diagnostic.range.start.line - FIX_CONTEXT_LINES);
+	const endLine = Math.min(document.lineCount - 1, diagnostic.range.end.line + FIX_CONTEXT_LINES);
+	return getCodeActionTarget(document, new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length));
+}
+
+function describeDiagnostic(diagnostic) {
+	const severity = diagnostic.severity === vscode.DiagnosticSeverity.Error ? 'error' : 'warning';
+	const code = typeof diagnostic.code === 'object' && diagnostic.code ? diagnostic.code.value : diagnostic.code;
+	const source = [diagnostic.source, code].filter(v => v !== undefined && v !== '').join(' ');
+	return `- line ${diagnostic.range.start.line + 1}: [${severity}${source ? ` ${source}` : ''}] ${diagnostic.message}`;
+}
+
+// Instruction for fixing every diagnostic that falls inside the target lines
+function buildFixInstruction(target, diagnostics) {
+	let instruction = `Fix these problems reported for ${target.location}:\n${diagnostics.map(describeDiagnostic).join('\n')}`;
+	const imports = getImportLines(target.document);
+	if (imports) {
+		instruction += `\n\nImports of the file, for reference (do not repeat them unless they are part of the lines below):\n\`\`\`${target.document.languageId}\n${imports}\n\`\`\``;
+	}
+	return instruction + '\n\nChange only what is needed to fix the problems.';
+}
+
+// Resolve when the diagnostics of uri change (e.g. after an applied fix), or after timeoutMs
+function waitForDiagnostics(uri, timeoutMs) {
+	return new Promise(resolve => {
+		const timer = setTimeout(() => {
+			listener.dispose();
+			resolve();
+		}, timeoutMs);
+		const listener = vscode.languages.onDidChangeDiagnostics(event => {
+			if (!event.uris.some(u => u.toString() === uri.toString())) return;
+			clearTimeout(timer);
+			listener.dispose();
+			resolve();
+		});
+	});
+}
+
+/**
+ * Propose a fix for one diagnostic (and the others in the same code) as a diff.
+ * @param {vscode.Memento} workspaceState
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic} diagnostic
+ */
+async function fixDiagnostic(workspaceState, document, diagnostic) {
+	const target = await getDiagnosticTarget(document, diagnostic);
+	const related = getFixableDiagnostics(document.uri).filter(d => target.range.intersection(d.range));
+	const diagnostics = related.length > 0 ? related : [diagnostic];
+	return previewReplacement(workspaceState, target, buildFixInstruction(target, diagnostics), 'Fix');
+}
+
+// Stable identity of a diagnostic while line numbers shift under earlier fixes
+function diagnosticKey(document, diagnostic) {
+	const line = diagnostic.range.start.line < document.lineCount ? document.lineAt(diagnostic.range.start.line).text.trim() : '';
+	return `${diagnostic.message}\u0000${diagnostic.source || ''}\u0000${line}`;
+}
+
+/**
+ * Work through the errors and warnings of a document one at a time, each fix reviewed as a diff.
+ * Uses the chat view's abort controller, so both the progress notification and the chat Stop
+ * button cancel the run.
+ * @param {vscode.Memento} workspaceState
+ * @param {vscode.TextDocument} document
+ */
+async function fixAllProblems(workspaceState, document) {
+	if (getFixableDiagnostics(document.uri).length === 0) {
+		vscode.window.showInformationMessage('No errors or warnings in this file.');
+		return;
+	}
+	const abortController = new AbortController();
+	if (chatViewProviderInstance) {
+		if (chatViewProviderInstance._abortController) chatViewProviderInstance._abortController.abort();
+		chatViewProviderInstance._abortController = abortController;
+	}
+
+	const attempted = new Set();
+	let fixed = 0;
+	await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: 'VSWizard: Fixing problems',
+		cancellable: true
+	}, async (progress, token) => {
+		token.onCancellationRequested(() => abortController.abort());
+		while (!abortController.signal.aborted) {
+			const pending = getFixableDiagnostics(document.uri).filter(d => !attempted.has(diagnosticKey(document, d)));
+			if (pending.length === 0) break;
+			const target = await getDiagnosticTarget(document, pending[0]);
+			const batch = pending.filter(d => target.range.intersection(d.range));
+			for (const d of batch) attempted.add(diagnosticKey(document, d));
+			progress.report({ message: `${target.location} (${attempted.size} looked at, ${pending.length - batch.length} left)` });
+			try {
+				const newContent = await requestReplacement(workspaceState, target, buildFixInstruction(target, batch), abortController.signal);
+				if (await previewAndApplyEdit(document.uri, newContent, `Fix: ${target.location}`)) {
+					fixed += batch.length;
+					await waitForDiagnostics(document.uri, 3000);
+				}
+			} catch (error) {
+				if (error.name === 'AbortError') break;
+				vscode.window.showErrorMessage(`VSWizard: ${error.message}`);
+			}
+		}
+	});
+
+	if (chatViewProviderInstance && chatViewProviderInstance._abortController === abortController) {
+		chatViewProviderInstance._abortController = null;
+	}
+	vscode.window.showInformationMessage(`VSWizard applied fixes for ${fixed} of ${attempted.size} problems${abortController.signal.aborted ? ' (stopped)' : ''}.`);
+}
+
+// ---------------------------------------------------------------------------
+// Git integration: commit messages and reviews of the staged diff (via the vscode.git API)
+// ---------------------------------------------------------------------------
+
+const COMMIT_MESSAGE_PROMPT = 'Write a commit message for the staged changes below in the Conventional Commits format: ' +
+	'"type(scope): subject" (subject under 72 characters, imperative mood), then a blank line and a short body ' +
+	'explaining what changed and why. Respond with the commit message only, no code fences.';
+
+const DIFF_SUMMARY_PROMPT = 'This is one part of a larger staged diff. Summarize what it changes in a few short bullet points. ' +
+	'Respond with the bullet points only.';
+
+const REVIEW_PROMPT = 'You review code changes. The diff below shows new-file line numbers on the left. Report bugs, ' +
+	'risky changes, missing error handling and unclear code. Respond with one finding per line in the form ' +
+	'"path:line: [severity] finding" where severity is error, warning or suggestion. ' +
+	'If there is nothing worth reporting, respond "No issues found."';
+
+// Tokens left in the model's context window for diff text after the prompt and the reply
+function getDiffBudget(workspaceState, providerId) {
+	const { limit } = getModelContextLimit(workspaceState, providerId);
+	return Math.max(512, limit - getReplyReserve(limit) - 600);
+}
+
+/**
+ * The repository for a Source Control title-bar click, the active editor, or the first one open.
+ * @param {any} [sourceControl] argument passed by scm/title commands
+ */
+async function getGitRepository(sourceControl) {
+	const extension = vscode.extensions.getExtension('vscode.git');
+	if (!extension) throw new Error('The built-in Git extension is not available');
+	const git = (extension.isActive ? extension.exports : await extension.activate()).getAPI(1);
+	if (sourceControl && sourceControl.rootUri) {
+		const repository = git.getRepository(sourceControl.rootUri);
+		if (repository) return repository;
+	}
+	const editor = vscode.window.activeTextEditor;
+	const editorRepository = editor ? git.getRepository(editor.document.uri) : null;
+	if (editorRepository) return editorRepository;
+	if (git.repositories.length === 0) throw new Error('No Git repository is open');
+	return git.repositories[0];
+}
+
+/**
+ * Split a unified diff into files and hunks.
+ * @param {string} diff
+ * @returns {Array<{path: string, header: string[], hunks: Array<{header: string, newStart: number, lines: string[]}>}>}
+ */
+function parseDiff(diff) {
+	const files = [];
+	let file = null;
+	let hunk = null;
+	for (const line of diff.split('\n')) {
+		if (line.startsWith('diff --git ')) {
+			const match = / b\/(.*)$/.exec(line);
+			file = { path: match ? match[1] : '', header: [line], hunks: [] };
+			files.push(file);
+			hunk = null;
+			continue;
+		}
+		if (!file) continue;
+		const hunkMatch = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+		if (hunkMatch) {
+			hunk = { header: line, newStart: Number(hunkMatch[1]), lines: [] };
+			file.hunks.push(hunk);
+		} else if (hunk) {
+			hunk.lines.push(line);
+		} else {
+			file.header.push(line);
+		}
+	}
+	return files;
+}
+
+// Hunk lines, optionally prefixed with new-file line numbers so findings can cite them
+function renderHunkLines(hunk, numbered) {
+	if (!numbered) return hunk.lines;
+	let lineNumber = hunk.newStart;
+	return hunk.lines.map(line => {
+		if (line.startsWith('-') || line.startsWith('\\')) return `      ${line}`;
+		return `${String(lineNumber++).padStart(5)} ${line}`;
+	});
+}
+
+/**
+ * One piece per hunk (or per file header for files without hunks), each within maxTokens;
+ * a hunk that is too large on its own is cut between lines.
+ * @param {ReturnType<typeof parseDiff>} files
+ * @param {number} maxTokens
+ * @param {boolean} numbered
+ * @returns {Array<{path: string, hunk: string, text: string}>} hunk is the @@ header, '' for header-only files
+ */
+function splitDiffHunks(files, maxTokens, numbered) {
+	const pieces = [];
+	for (const file of files) {
+		if (file.hunks.length === 0) {
+			// Binary files, renames and mode changes only have a header
+			pieces.push({ path: file.path, hunk: '', text: `File: ${file.path}\n${file.header.slice(1).join('\n')}` });
+			continue;
+		}
+		for (const hunk of file.hunks) {
+			let piece = [`File: ${file.path}`, hunk.header];
+			let pieceTokens = countTokens(piece.join('\n'));
+			for (const line of renderHunkLines(hunk, numbered)) {
+				const lineTokens = countTokens(line) + 1;
+				if (pieceTokens + lineTokens > maxTokens && piece.length > 2) {
+					pieces.push({ path: file.path, hunk: hunk.header, text: piece.join('\n') });
+					piece = [`File: ${file.path}`, `${hunk.header} (continued)`];
+					pieceTokens = countTokens(piece.join('\n'));
+				}
+				piece.push(line);
+				pieceTokens += lineTokens;
+			}
+			pieces.push({ path: file.path, hunk: hunk.header, text: piece.join('\n') });
+		}
+	}
+	return pieces;
+}
+
+/**
+ * Group the diff into as few pieces as possible that each fit maxTokens. Hunks stay whole
+ * where possible.
+ * @param {ReturnType<typeof parseDiff>} files
+ * @param {number} maxTokens
+ * @param {boolean} numbered
+ * @returns {string[]}
+ */
+function chunkDiff(files, maxTokens, numbered) {
+	const chunks = [];
+	let current = [];
+	let currentTokens = 0;
+	for (const { text } of splitDiffHunks(files, maxTokens, numbered)) {
+		const tokens = countTokens(text);
+		if (current.length > 0 && currentTokens + tokens > maxTokens) {
+			chunks.push(current.join('\n\n'));
+			current = [];
+			currentTokens = 0;
+		}
+		current.push(text);
+		currentTokens += tokens;
+	}
+	if (current.length > 0) chunks.push(current.join('\n\n'));
+	return chunks;
+}
+
+// Drop reasoning blocks and code fences models sometimes wrap around a commit message
+function cleanCommitMessage(text) {
+	return text
+		.replace(/<think>[\s\S]*?(<\/think>|$)/g, '')
+		.replace(/^\s*```[^\n]*\n?/, '')
+		.replace(/\n?```\s*$/, '')
+		.trim();
+}
+
+/**
+ * Generate a Conventional Commits message for the staged diff and stream it into the
+ * Source Control input box. Diffs larger than the context window are summarized part by part first.
+ * @param {vscode.Memento} workspaceState
+ * @param {any} [sourceControl]
+ */
+async function generateCommitMessage(workspaceState, sourceControl) {
+	const repository = await getGitRepository(sourceControl);
+	const diff = await repository.diff(true);
+	if (!diff.trim()) {
+		vscode.window.showInformationMessage('There are no staged changes.');
+		return;
+	}
+	const provider = getActiveProvider(workspaceState);
+	const chunks = chunkDiff(parseDiff(diff), getDiffBudget(workspaceState, provider.id), false);
+
+	await vscode.window.withProgress({
+		location: vscode.ProgressLocation.SourceControl,
+		title: 'Generating commit message',
+		cancellable: true
+	}, async (progress, token) => {
+		const abortController = new AbortController();
+		token.onCancellationRequested(() => abortController.abort());
+		let changes = chunks[0];
+		if (chunks.length > 1) {
+			// Too large for one request: summarize each part, then write the message from the summaries
+			const summaries = [];
+			for (let i = 0; i < chunks.length; i++) {
+				progress.report({ message: `Summarizing part ${i + 1} of ${chunks.length}` });
+				const result = await requestChat(provider, workspaceState, [
+					{ role: 'system', content: DIFF_SUMMARY_PROMPT },
+					{ role: 'user', content: chunks[i] }
+				], { signal: abortController.signal }, 'commit');
+				summaries.push(result.content.trim());
+			}
+			changes = `Summaries of the parts of the staged diff:\n\n${summaries.join('\n\n')}`;
+		}
+
+		let message = '';
+		repository.inputBox.value = '';
+		await requestChat(provider, workspaceState, [
+			{ role: 'system', content: COMMIT_MESSAGE_PROMPT },
+			{ role: 'user', content: changes }
+		], {
+			signal: abortController.signal,
+			onDelta: delta => {
+				message += delta;
+				repository.inputBox.value = cleanCommitMessage(message);
+			}
+		}, 'commit');
+		repository.inputBox.value = cleanCommitMessage(message);
+	});
+}
+
+// Turn "path:line: finding" lines into links the chat view can open
+function formatReviewFindings(text, repositoryRoot) {
+	return text.replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim().split('\n').map(line => {
+		const match = /^\s*(?:[-*]\s*)?`?([^\s:`]+):(\d+)`?:?\s*(.*)$/.exec(line);
+		if (!match) return line;
+		const relPath = workspaceRelativePath(vscode.Uri.joinPath(repositoryRoot, match[1]));
+		return `- [${relPath}:${match[2]}](#open:${encodeURIComponent(relPath)}:${match[2]}) ${match[3]}`;
+	}).join('\n');
+}
+
+/**
+ * Review the staged diff hunk by hunk, one request per hunk, and post the findings to the chat
+ * view as one reply with a section per hunk that has findings.
+ * The chat Stop button cancels the review (it shares the chat view's abort controller).
+ * @param {vscode.Memento} workspaceState
+ * @param {any} [sourceControl]
+ */
+async function reviewStagedChanges(workspaceState, sourceControl) {
+	const repository = await getGitRepository(sourceControl);
+	const diff = await repository.diff(true);
+	if (!diff.trim()) {
+		vscode.window.showInformationMessage('There are no staged changes to review.');
+		return;
+	}
+	const provider = getActiveProvider(workspaceState);
+	const files = parseDiff(diff);
+	const hunks = splitDiffHunks(files, getDiffBudget(workspaceState, provider.id), true);
+
+	await vscode.commands.executeCommand('vswizard-chat.focus');
+	const providerInstance = chatViewProviderInstance;
+	// Findings posted while the view is still loading would be lost
+	await providerInstance._waitForWebview();
+	const post = msg => providerInstance._webviewView && providerInstance._webviewView.webview.postMessage(msg);
+	const history = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	providerInstance._chatHistory = history;
+	const request = `Review staged changes (${files.length} file${files.length === 1 ? '' : 's'}, ${hunks.length} hunk${hunks.length === 1 ? '' : 's'})`;
+	history.push({ text: request, sender: 'user' });
+	if (!getCurrentSession(workspaceState)) createSession(workspaceState, history);
+	persistChatHistory(workspaceState, history);
+	post({ command: 'displayUserMessageWithFileContext', fullText: request, displayText: request });
+
+	if (providerInstance._abortController) providerInstance._abortController.abort();
+	const abortController = new AbortController();
+	providerInstance._abortController = abortController;
+
+	let report = '';
+	let reviewed = 0;
+	try {
+		for (const hunk of hunks) {
+			const result = await requestChat(provider, workspaceState, [
+				{ role: 'system', content: REVIEW_PROMPT },
+				{ role: 'user', content: hunk.text }
+			], { signal: abortController.signal }, 'review');
+			reviewed++;
+			const findings = formatReviewFindings(result.content, repository.rootUri);
+			if (!findings || /^no issues found\.?$/i.test(findings)) continue;
+			const section = `**${hunk.path}**${hunk.hunk ? ` \`${hunk.hunk}\`` : ''}\n\n${findings}\n\n`;
+			report += section;
+			post({ command: 'addChunk', text: section, sender: 'bot' });
+		}
+		if (!report) {
+			report = `No issues found in ${hunks.length} hunk${hunks.length === 1 ? '' : 's'}.`;
+			post({ command: 'addChunk', text: report, sender: 'bot' });
+		}
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			if (reviewed) report += `_Review stopped after ${reviewed} of ${hunks.length} hunks._`;
+		} else if (report) {
+			report += `_Review stopped: ${error.message}_`;
+		} else {
+			post({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
+		}
+	}
+	post({ command: 'streamDone', sender: 'bot' });
+	if (providerInstance._abortController === abortController) providerInstance._abortController = null;
+	if (report.trim()) {
+		history.push({ text: report.trim(), sender: 'bot' });
+		persistChatHistory(workspaceState, history);
+		refreshHistoryView(providerInstance);
+	}
+}
+
+// ---------------------------------------------------------------------------
+// System prompt: project instructions (.vswizard/instructions.md), profile and session persona
+// ---------------------------------------------------------------------------
+
+const PROJECT_INSTRUCTIONS_FILE = '.vswizard/instructions.md';
+
+// Presets offered when editing a session's system prompt
+const SESSION_PERSONAS = [
+	{
+		label: 'Strict reviewer',
+		prompt: 'Act as a strict senior code reviewer. Point out bugs, edge cases, security problems and deviations from the project conventions before anything else. Do not praise the code.'
+	},
+	{
+		label: 'Explain like a junior',
+		prompt: 'The user is a junior developer. Explain step by step in plain language, define the terms you use and prefer small, complete examples.'
+	},
+	{
+		label: 'Concise',
+		prompt: 'Answer as briefly as possible. Show code without commentary unless asked.'
+	}
+];
+
+class ProjectInstructions {
+	constructor() {
+		/** @type {Array<{folder: string, text: string}>} */
+		this._entries = [];
+	}
+
+	// (Re)read the instructions file of every workspace folder
+	async load() {
+		const files = await vscode.workspace.findFiles(PROJECT_INSTRUCTIONS_FILE);
+		const entries = [];
+		for (const uri of files) {
+			try {
+				const raw = await vscode.workspace.fs.readFile(uri);
+				const text = Buffer.from(raw).toString('utf8').trim();
+				const folder = vscode.workspace.getWorkspaceFolder(uri);
+				if (text) entries.push({ folder: folder ? folder.name : '', text });
+			} catch (err) {
+				console.error(`Failed to read ${uri.fsPath}:`, err);
+			}
+		}
+		this._entries = entries;
+	}
+
+	watch() {
+		const watcher = vscode.workspace.createFileSystemWatcher(`**/${PROJECT_INSTRUCTIONS_FILE}`);
+		const reload = () => this.load().catch(err => console.error('Failed to reload project instructions:', err));
+		watcher.onDidCreate(reload);
+		watcher.onDidChange(reload);
+		watcher.onDidDelete(reload);
+		return watcher;
+	}
+
+	// Instructions of all folders; in a multi-root workspace each is headed by its folder name
+	getText() {
+		if (this._entries.length <= 1) return this._entries.length ? this._entries[0].text : '';
+		return this._entries.map(e => `## ${e.folder}\n${e.text}`).join('\n\n');
+	}
+}
+
+function getSessionSystemPrompt(workspaceState) {
+	const session = getCurrentSession(workspaceState);
+	return session && session.systemPrompt ? session.systemPrompt : '';
+}
+
+/**
+ * The system prompt sent with a chat request: the caller's base prompt (agent mode), the
+ * project instructions, the active profile's prompt and the session prompt, in that order.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} providerId
+ * @param {string} [base]
+ * @returns {string}
+ */
+function buildSystemPrompt(workspaceState, providerId, base = '') {
+	const instructions = projectInstructions ? projectInstructions.getText() : '';
+	return [
+		base,
+		instructions ? `Project instructions (${PROJECT_INSTRUCTIONS_FILE}):\n${instructions}` : '',
+		getProfileSystemPrompt(providerId),
+		getSessionSystemPrompt(workspaceState)
+	].filter(Boolean).join('\n\n');
+}
+
+// Show the current session's persona in the chat view header
+function postSessionPrompt(providerInstance) {
+	const webviewView = providerInstance && providerInstance._webviewView;
+	if (!webviewView) return;
+	const session = getCurrentSession(providerInstance._workspaceState);
+	const label = session && session.systemPrompt ? (session.persona || 'Custom') : 'Default';
+	webviewView.webview.postMessage({ command: 'setSessionPrompt', label, prompt: session ? session.systemPrompt || '' : '' });
+}
+
+/**
+ * Pick a persona or write a custom system prompt for a session (the current one by default,
+ * which is created when the chat has none yet).
+ * @param {vscode.Memento} workspaceState
+ * @param {{id: string, name: string, systemPrompt?: string, persona?: string}} [session]
+ */
+async function editSessionSystemPrompt(workspaceState, session) {
+	if (!session) {
+		session = getCurrentSession(workspaceState) || createSession(workspaceState, workspaceState.get(OLLAMA_CHAT_HISTORY, []));
+	}
+	const current = session.systemPrompt ? (session.persona || 'Custom') : 'Default';
+	const items = [
+		{ label: 'Default', detail: 'No session system prompt', prompt: '' },
+		...SESSION_PERSONAS.map(p => ({ label: p.label, detail: p.prompt, prompt: p.prompt })),
+		{ label: 'Custom…', detail: 'Write your own system prompt for this session', prompt: undefined }
+	].map(item => ({ ...item, description: item.label === current ? '(current)' : '' }));
+	const pick = await vscode.window.showQuickPick(items, { placeHolder: `System prompt for "${session.name}"` });
+	if (!pick) return;
+
+	let prompt = pick.prompt;
+	let persona = pick.label;
+	if (prompt === undefined) {
+		prompt = await vscode.window.showInputBox({ prompt: 'Session system prompt', value: session.systemPrompt || '', ignoreFocusOut: true });
+		if (prompt === undefined) return;
+		prompt = prompt.trim();
+		persona = undefined;
+	}
+	updateSession(workspaceState, session.id, s => {
+		s.systemPrompt = prompt || undefined;
+		s.persona = prompt ? persona : undefined;
+	});
+	postSessionPrompt(chatViewProviderInstance);
+}
+
+// Open the exact system prompt the next chat request will send
+async function showSystemPrompt(workspaceState) {
+	const provider = getActiveProvider(workspaceState);
+	const base = workspaceState.get(VSWIZARD_AGENT_MODE, false) ? AGENT_SYSTEM_PROMPT : '';
+	const prompt = buildSystemPrompt(workspaceState, provider.id, base);
+	if (!prompt) {
+		vscode.window.showInformationMessage(`No system prompt is sent. Add ${PROJECT_INSTRUCTIONS_FILE}, a profile system prompt or a session system prompt.`);
+		return;
+	}
+	const document = await vscode.workspace.openTextDocument({ content: prompt, language: 'markdown' });
+	await vscode.window.showTextDocument(document, { preview: true });
+}
+
+// ---------------------------------------------------------------------------
+// Slash commands: built-in prompts and team templates from .vswizard/prompts/*.md
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} name command name without the slash
+ * @property {string} description
+ * @property {string} [body] prompt text with {{placeholders}}
+ * @property {string} [command] VS Code command run instead of sending a prompt
+ * @property {string} [model] preferred model of the active provider
+ * @property {string[]} [variables] extra placeholders asked for before sending
+ * @property {string} [source] workspace-relative file a custom template was loaded from
+ */
+
+const PROMPTS_DIRECTORY = '.vswizard/prompts';
+
+/** @type {PromptTemplate[]} */
+const BUILTIN_PROMPTS = [
+	{
+		name: 'explain',
+		description: 'Explain the selected code',
+		body: 'Explain what this {{language}} code does: its purpose, inputs, outputs and side effects.\n\n{{selection}}\n\n{{input}}'
+	},
+	{
+		name: 'tests',
+		description: 'Write unit tests for the selected code',
+		body: 'Write unit tests for this {{language}} code, using the test framework and conventions of the project.\n\n{{selection}}\n\n{{input}}'
+	},
+	{
+		name: 'doc',
+		description: 'Write a doc comment for the selected code',
+		body: 'Write an idiomatic {{language}} doc comment for this code and show the code with the comment added.\n\n{{selection}}\n\n{{input}}'
+	},
+	{
+		name: 'commit',
+		description: 'Write a commit message for the staged changes into the Source Control input box',
+		command: 'vswizard.generateCommitMessage'
+	}
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+function unquote(value) {
+	return value.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Split "---" front matter from a Markdown template. Supports the YAML subset templates need:
+ * `key: value`, `key: [a, b]` and `key:` followed by `- item` lines.
+ * @param {string} text
+ * @returns {{attributes: Object<string, string | string[]>, body: string}}
+ */
+function parseFrontMatter(text) {
+	const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+	if (!match) return { attributes: {}, body: text };
+	const attributes = {};
+	let listKey = null;
+	for (const line of match[1].split(/\r?\n/)) {
+		const item = /^\s*-\s+(.*)$/.exec(line);
+		if (item && listKey) {
+			attributes[listKey].push(unquote(item[1].trim()));
+			continue;
+		}
+		const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+		if (!pair) continue;
+		const [, key, value] = pair;
+		listKey = null;
+		if (value === '') {
+			attributes[key] = [];
+			listKey = key;
+		} else if (/^\[.*\]$/.test(value.trim())) {
+			attributes[key] = value.trim().slice(1, -1).split(',').map(v => unquote(v.trim())).filter(Boolean);
+		} else {
+			attributes[key] = unquote(value.trim());
+		}
+	}
+	return { attributes, body: text.slice(match[0].length) };
+}
+
+class PromptLibrary {
+	constructor() {
+		/** @type {PromptTemplate[]} */
+		this._custom = [];
+		this._onDidChange = new vscode.EventEmitter();
+		this.onDidChange = this._onDidChange.event;
+	}
+
+	// (Re)read every template under .vswizard/prompts in the workspace
+	async load() {
+		const files = await vscode.workspace.findFiles(`${PROMPTS_DIRECTORY}/**/*.md`);
+		const templates = [];
+		for (const uri of files) {
+			try {
+				const raw = await vscode.workspace.fs.readFile(uri);
+				const { attributes, body } = parseFrontMatter(Buffer.from(raw).toString('utf8'));
+				const name = String(attributes.name || path.basename(uri.fsPath, '.md')).replace(/^\//, '').replace(/\s+/g, '-');
+				const variables = attributes.variables;
+				templates.push({
+					name,
+					description: String(attributes.description || ''),
+					body: body.trim(),
+					model: attributes.model ? String(attributes.model) : undefined,
+					variables: Array.isArray(variables) ? variables : variables ? [String(variables)] : [],
+					source: workspaceRelativePath(uri)
+				});
+			} catch (err) {
+				console.error(`Failed to load prompt template ${uri.fsPath}:`, err);
+			}
+		}
+		this._custom = templates;
+		this._onDidChange.fire(undefined);
+	}
+
+	watch() {
+		const watcher = vscode.workspace.createFileSystemWatcher(`**/${PROMPTS_DIRECTORY}/**/*.md`);
+		const reload = () => this.load().catch(err => console.error('Failed to reload prompt templates:', err));
+		watcher.onDidCreate(reload);
+		watcher.onDidChange(reload);
+		watcher.onDidDelete(reload);
+		return watcher;
+	}
+
+	/**
+	 * Built-in commands, overridden by workspace templates of the same name.
+	 * @returns {PromptTemplate[]}
+	 */
+	getAll() {
+		const templates = new Map();
+		for (const template of [...BUILTIN_PROMPTS, ...this._custom]) templates.set(template.name.toLowerCase(), template);
+		return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	get(name) {
+		return this.getAll().find(t => t.name.toLowerCase() === name.toLowerCase());
+	}
+}
+
+/**
+ * Values for the placeholders a template uses. Template variables are asked for with input
+ * boxes; returns undefined when one is cancelled.
+ * @param {PromptTemplate} template
+ * @param {string} input text typed after the command
+ */
+async function collectPlaceholderValues(template, input) {
+	const used = new Set(Array.from(template.body.matchAll(PLACEHOLDER_PATTERN), m => m[1]));
+	const editor = vscode.window.activeTextEditor;
+	const document = editor && editor.document;
+	const values = { input };
+	if (used.has('selection')) {
+		values.selection = document ? formatCodeForPrompt(await getCodeActionTarget(document, editor.selection)) : '[No file is open]';
+	}
+	if (used.has('file')) {
+		values.file = document
+			? `[Current file: ${workspaceRelativePath(document.uri)}]\n[File Content Start]\n\`\`\`${document.languageId}\n${document.getText()}\n\`\`\`\n[File Content End]`
+			: '[No file is open]';
+	}
+	if (used.has('language')) values.language = document ? document.languageId : '';
+	if (used.has('diagnostics')) {
+		values.diagnostics = document
+			? getFixableDiagnostics(document.uri).map(describeDiagnostic).join('\n') || 'No errors or warnings.'
+			: '';
+	}
+	for (const variable of template.variables || []) {
+		if (variable in values) continue;
+		const value = await vscode.window.showInputBox({ prompt: `/${template.name}: ${variable}`, ignoreFocusOut: true });
+		if (value === undefined) return undefined;
+		values[variable] = value;
+	}
+	return values;
+}
+
+/**
+ * Expand "/name rest of message" into its template. Plain messages and unknown commands return
+ * undefined and are sent as typed.
+ * @param {string} text
+ * @returns {Promise<{template: PromptTemplate, text?: string, model?: string, cancelled?: boolean} | undefined>}
+ */
+async function expandSlashCommand(text) {
+	const match = /^\/([\w-]+)(?:\s+([\s\S]*))?$/.exec(text.trim());
+	const template = match && promptLibrary ? promptLibrary.get(match[1]) : undefined;
+	if (!template) return undefined;
+	if (template.command) return { template };
+
+	const input = (match[2] || '').trim();
+	const values = await collectPlaceholderValues(template, input);
+	if (!values) return { template, cancelled: true };
+	let prompt = template.body.replace(PLACEHOLDER_PATTERN, (placeholder, key) => key in values ? values[key] : placeholder);
+	if (input && !/\{\{\s*input\s*\}\}/.test(template.body)) prompt += `\n\n${input}`;
+	return { template, text: prompt.trim(), model: template.model };
+}
+
+// Send the slash command list to the chat view for autocomplete
+function postSlashCommands(providerInstance) {
+	const webviewView = providerInstance._webviewView;
+	if (!webviewView || !promptLibrary) return;
+	webviewView.webview.postMessage({
+		command: 'setSlashCommands',
+		commands: promptLibrary.getAll().map(t => ({ name: t.name, description: t.description || t.source || '' }))
+	});
+}
+
+// ---------------------------------------------------------------------------
+// @-mentions: files, folders, symbols and problems attached from the chat input
+// ---------------------------------------------------------------------------
+
+const MENTION_RESULT_LIMIT = 20;
+const MENTION_FOLDER_FILE_LIMIT = 300;
+const MENTION_PROBLEM_LIMIT = 200;
+
+/**
+ * @typedef {Object} Mention
+ * @property {'file' | 'folder' | 'symbol' | 'problems'} kind
+ * @property {string} label shown on the chip
+ * @property {any} [value] path for files and folders, {uri, line, name} for symbols
+ */
+
+// Characters with a meaning in glob patterns are dropped from what the user typed
+function toGlobQuery(query) {
+	return query.replace(/[[\]{}()*?!\\]/g, '').trim();
+}
+
+function compareByPathLength(a, b) {
+	return a.label.length - b.label.length || a.label.localeCompare(b.label);
+}
+
+/**
+ * Autocomplete entries for "@kind:query".
+ * @param {string} kind
+ * @param {string} query
+ * @returns {Promise<{label: string, description?: string, value: any}[]>}
+ */
+async function findMentionCandidates(kind, query) {
+	const needle = toGlobQuery(query);
+	switch (kind) {
+		case 'file': {
+			const files = await vscode.workspace.findFiles(needle ? `**/*${needle}*` : '**/*', INDEX_EXCLUDE_GLOB, 500);
+			return files
+				.map(uri => ({ label: workspaceRelativePath(uri), value: workspaceRelativePath(uri) }))
+				.sort(compareByPathLength)
+				.slice(0, MENTION_RESULT_LIMIT);
+		}
+		case 'folder': {
+			// There is no folder search; folders are taken from the paths of workspace files
+			const files = await vscode.workspace.findFiles('**/*', INDEX_EXCLUDE_GLOB, 5000);
+			const folders = new Set(['.']);
+			for (const uri of files) {
+				let dir = path.posix.dirname(workspaceRelativePath(uri));
+				while (dir !== '.' && !folders.has(dir)) {
+					folders.add(dir);
+					dir = path.posix.dirname(dir);
+				}
+			}
+			const lower = needle.toLowerCase();
+			return Array.from(folders)
+				.filter(folder => folder.toLowerCase().includes(lower))
+				.map(folder => ({ label: folder === '.' ? './' : `${folder}/`, value: folder }))
+				.sort(compareByPathLength)
+				.slice(0, MENTION_RESULT_LIMIT);
+		}
+		case 'symbol': {
+			if (!needle) return [];
+			const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', needle) || [];
+			return symbols.slice(0, MENTION_RESULT_LIMIT).map(symbol => {
+				const location = `${workspaceRelativePath(symbol.location.uri)}:${symbol.location.range.start.line + 1}`;
+				return {
+					label: symbol.name,
+					description: `${vscode.SymbolKind[symbol.kind] || ''} ${location}`.trim(),
+					value: { uri: symbol.location.uri.toString(), line: symbol.location.range.start.line, name: symbol.name }
+				};
+			});
+		}
+		default:
+			return [];
+	}
+}
+
+// Document symbol named name that starts on line (workspace symbols may only cover the name)
+function findSymbolByName(symbols, name, line) {
+	for (const symbol of symbols || []) {
+		const range = symbol.range || (symbol.location && symbol.location.range);
+		if (symbol.name === name && range && range.start.line <= line && range.end.line >= line) return range;
+		const inner = findSymbolByName(symbol.children, name, line);
+		if (inner) return inner;
+	}
+	return undefined;
+}
+
+function formatMentionBlock(header, body) {
+	return `\n\n[${header}]\n[File Content Start]\n\`\`\`\n${body}\n\`\`\`\n[File Content End]`;
+}
+
+/**
+ * One mention as prompt text and as the short label shown in the chat.
+ * @param {Mention} mention
+ * @returns {Promise<{text: string, display: string}>}
+ */
+async function resolveMention(mention) {
+	switch (mention.kind) {
+		case 'file': {
+			const uri = resolveWorkspacePath(mention.value);
+			const document = await vscode.workspace.openTextDocument(uri);
+			const relPath = workspaceRelativePath(uri);
+			return {
+				text: `\n\n[File: ${relPath}]\n[File Content Start]\n\`\`\`${document.languageId}\n${document.getText()}\n\`\`\`\n[File Content End]`,
+				display: `\n\n[File: ${relPath}]`
+			};
+		}
+		case 'folder': {
+			const uri = resolveWorkspacePath(mention.value);
+			const files = await vscode.workspace.findFiles(new vscode.RelativePattern(uri, '**/*'), INDEX_EXCLUDE_GLOB, MENTION_FOLDER_FILE_LIMIT + 1);
+			const paths = files.map(file => workspaceRelativePath(file)).sort();
+			const more = paths.length > MENTION_FOLDER_FILE_LIMIT ? `\n... more than ${MENTION_FOLDER_FILE_LIMIT} files, list truncated` : '';
+			const label = mention.value === '.' ? './' : `${mention.value}/`;
+			return {
+				text: formatMentionBlock(`Folder: ${label}`, `${paths.slice(0, MENTION_FOLDER_FILE_LIMIT).join('\n') || '[empty folder]'}${more}`),
+				display: `\n\n[Folder: ${label}]`
+			};
+		}
+		case 'symbol': {
+			const uri = vscode.Uri.parse(mention.value.uri);
+			const document = await vscode.workspace.openTextDocument(uri);
+			const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri);
+			const line = mention.value.line;
+			const range = findSymbolByName(symbols, mention.value.name, line) || document.lineAt(line).range;
+			const target = await getCodeActionTarget(document, range);
+			return {
+				text: `\n\n${formatCodeForPrompt(target)}`,
+				display: `\n\n[Symbol: ${mention.value.name} (${target.location})]`
+			};
+		}
+		case 'problems': {
+			const lines = [];
+			for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+				const problems = diagnostics
+					.filter(d => d.severity <= vscode.DiagnosticSeverity.Warning)
+					.sort((a, b) => a.range.start.compareTo(b.range.start));
+				if (problems.length === 0) continue;
+				lines.push(workspaceRelativePath(uri), ...problems.map(describeDiagnostic));
+			}
+			const truncated = lines.length > MENTION_PROBLEM_LIMIT ? `\n... ${lines.length - MENTION_PROBLEM_LIMIT} more lines` : '';
+			return {
+				text: formatMentionBlock('Problems', `${lines.slice(0, MENTION_PROBLEM_LIMIT).join('\n') || 'No errors or warnings.'}${truncated}`),
+				display: '\n\n[Problems]'
+			};
+		}
+		default:
+			throw new Error(`Unknown mention @${mention.kind}`);
+	}
+}
+
+/**
+ * Resolve the mentions sent with a message, in the order they were added.
+ * A mention that cannot be resolved (e.g. a deleted file) is reported inline instead.
+ * @param {Mention[]} mentions
+ * @returns {Promise<{text: string, display: string}>}
+ */
+async function resolveMentions(mentions) {
+	let text = '';
+	let display = '';
+	for (const mention of mentions || []) {
+		try {
+			const resolved = await resolveMention(mention);
+			text += resolved.text;
+			display += resolved.display;
+		} catch (error) {
+			const note = `\n\n[Cannot attach @${mention.kind} ${mention.label}: ${error.message}]`;
+			text += note;
+			display += note;
+		}
+	}
+	return { text, display };
+}
+
+// ---------------------------------------------------------------------------
+// Smart context: definitions the selected code or current function depends on
+// ---------------------------------------------------------------------------
+
+// Identifiers looked up per request; the most used ones are looked up first
+const SMART_CONTEXT_MAX_IDENTIFIERS = 60;
+const SMART_CONTEXT_MAX_SNIPPET_LINES = 80;
+// Keywords and literals of common languages that have no definition worth sending
+const SMART_CONTEXT_SKIP_WORDS = new Set([
+	'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'function', 'const', 'let',
+	'var', 'new', 'this', 'class', 'extends', 'super', 'import', 'export', 'from', 'default', 'async', 'await', 'try',
+	'catch', 'finally', 'throw', 'typeof', 'instanceof', 'in', 'of', 'true', 'false', 'null', 'undefined', 'void',
+	'delete', 'yield', 'static', 'get', 'set', 'public', 'private', 'protected', 'interface', 'type', 'enum',
+	'implements', 'def', 'self', 'None', 'True', 'False', 'elif', 'pass', 'lambda', 'with', 'as', 'not', 'and', 'or',
+	'is', 'func', 'package', 'struct', 'int', 'string', 'bool', 'float', 'double', 'char', 'long', 'fn', 'mut', 'pub',
+	'use', 'impl', 'match', 'where'
+]);
+
+// Definition providers return Location or LocationLink; a LocationLink's targetRange spans the whole definition
+function toDefinitionLocation(result) {
+	if (result.targetUri) {
+		return { uri: result.targetUri, range: result.targetRange, start: (result.targetSelectionRange || result.targetRange).start };
+	}
+	return { uri: result.uri, range: result.range, start: result.range.start };
+}
+
+// Innermost document symbol of any kind containing position
+function findSymbolAt(symbols, position) {
+	let found;
+	for (const symbol of symbols || []) {
+		const range = symbol.range || (symbol.location && symbol.location.range);
+		if (!range || !range.contains(position)) continue;
+		found = symbol;
+		const inner = findSymbolAt(symbol.children, position);
+		if (inner) found = inner;
+	}
+	return found;
+}
+
+/**
+ * Definitions of the identifiers used in target, found with the definition and type definition
+ * providers and widened to their document symbol. Definitions inside target itself and outside the
+ * workspace are skipped.
+ * @param {{document: vscode.TextDocument, range: vscode.Range}} target
+ * @returns {Promise<{name: string, location: string, text: string, uses: number, external: boolean, tokens: number}[]>}
+ */
+async function collectDefinitions(target) {
+	const { document, range } = target;
+	const baseOffset = document.offsetAt(range.start);
+	// Number of uses and first position of each identifier
+	const identifiers = new Map();
+	for (const match of document.getText(range).matchAll(/[A-Za-z_$][\w$]*/g)) {
+		const name = match[0];
+		if (name.length < 2 || SMART_CONTEXT_SKIP_WORDS.has(name)) continue;
+		const entry = identifiers.get(name);
+		if (entry) {
+			entry.uses++;
+		} else {
+			identifiers.set(name, { name, uses: 1, position: document.positionAt(baseOffset + match.index) });
+		}
+	}
+	const candidates = Array.from(identifiers.values())
+		.sort((a, b) => b.uses - a.uses)
+		.slice(0, SMART_CONTEXT_MAX_IDENTIFIERS);
+
+	const documents = new Map();
+	const symbolsByUri = new Map();
+	const seen = new Set();
+	const definitions = [];
+	for (const identifier of candidates) {
+		const results = [
+			...(await vscode.commands.executeCommand('vscode.executeDefinitionProvider', document.uri, identifier.position) || []),
+			...(await vscode.commands.executeCommand('vscode.executeTypeDefinitionProvider', document.uri, identifier.position) || [])
+		];
+		for (const result of results) {
+			const location = toDefinitionLocation(result);
+			const key = location.uri.toString();
+			const sameDocument = key === document.uri.toString();
+			if (sameDocument && range.contains(location.start)) continue; // declared in the code itself
+			if (!vscode.workspace.getWorkspaceFolder(location.uri)) continue;
+
+			if (!symbolsByUri.has(key)) {
+				documents.set(key, await vscode.workspace.openTextDocument(location.uri));
+				symbolsByUri.set(key, await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', location.uri) || []);
+			}
+			const symbol = findSymbolAt(symbolsByUri.get(key), location.start);
+			const symbolRange = symbol ? (symbol.range || symbol.location.range) : location.range;
+			// e.g. the class around the current method
+			if (sameDocument && symbolRange.contains(range)) continue;
+			const rangeKey = `${key}#${symbolRange.start.line}-${symbolRange.end.line}`;
+			if (seen.has(rangeKey)) continue;
+			seen.add(rangeKey);
+
+			const definitionDocument = documents.get(key);
+			const startLine = symbolRange.start.line;
+			const endLine = Math.min(symbolRange.end.line, startLine + SMART_CONTEXT_MAX_SNIPPET_LINES - 1);
+			let text = definitionDocument.getText(new vscode.Range(startLine, 0, endLine, definitionDocument.lineAt(endLine).text.length));
+			if (endLine < symbolRange.end.line) text += `\n... (${symbolRange.end.line - endLine} more lines)`;
+			const relPath = workspaceRelativePath(location.uri);
+			const block = `\n\n[Definition of ${symbol ? symbol.name : identifier.name}: ${relPath}:${startLine + 1}-${endLine + 1}]\n` +
+				`[File Content Start]\n\`\`\`${definitionDocument.languageId}\n${text}\n\`\`\`\n[File Content End]`;
+			definitions.push({
+				name: symbol ? symbol.name : identifier.name,
+				location: `${relPath}:${startLine + 1}-${endLine + 1}`,
+				text: block,
+				uses: identifier.uses,
+				external: /(^|\/)node_modules\//.test(relPath),
+				tokens: countTokens(block)
+			});
+		}
+	}
+	return definitions;
+}
+
+/**
+ * Selected code (or the function around the cursor) plus the definitions it uses, ranked by how
+ * often they are used and trimmed to what is left of the model's context window.
+ * @param {vscode.Memento} workspaceState
+ * @param {Array<{text: string, sender: string}>} chatHistory
+ * @param {vscode.TextEditor} editor
+ * @param {number} extraTokens tokens of the message the context is sent with
+ * @returns {Promise<{text: string, display: string}>}
+ */
+async function buildSmartContext(workspaceState, chatHistory, editor, extraTokens) {
+	const target = await getCodeActionTarget(editor.document, editor.selection);
+	const code = `\n\n${formatCodeForPrompt(target)}`;
+
+	const providerId = getActiveProvider(workspaceState).id;
+	const { model, limit } = getModelContextLimit(workspaceState, providerId);
+	const systemPrompt = buildSystemPrompt(workspaceState, providerId);
+	let remaining = limit - getReplyReserve(limit) - countMessageTokens(historyToMessages(chatHistory, model)) -
+		countTokens(systemPrompt) - extraTokens - countTokens(code);
+
+	const definitions = await vscode.window.withProgress(
+		{ location: vscode.ProgressLocation.Window, title: 'VSWizard: collecting definitions' },
+		() => collectDefinitions(target)
+	);
+	// Workspace code before installed packages, then the most used, then the smallest
+	definitions.sort((a, b) => Number(a.external) - Number(b.external) || b.uses - a.uses || a.tokens - b.tokens);
+	const included = [];
+	for (const definition of definitions) {
+		if (definition.tokens > remaining) continue;
+		included.push(definition);
+		remaining -= definition.tokens;
+	}
+
+	let display = `\n\n[Smart context: ${target.location}`;
+	display += included.length
+		? `; definitions: ${included.map(d => `${d.name} (${d.location})`).join(', ')}`
+		: '; no definitions found';
+	if (included.length < definitions.length) {
+		display += `; ${definitions.length - included.length} more left out to fit the context window`;
+	}
+	return { text: code + included.map(d => d.text).join(''), display: `${display}]` };
+}
+
+// ---------------------------------------------------------------------------
+// Terminal: last command output as chat context, and running suggested shell commands
+// ---------------------------------------------------------------------------
+
+const TERMINAL_NAME = 'VSWizard';
+// Characters of command output kept per execution (the end of the output is kept)
+const TERMINAL_OUTPUT_LIMIT = 8000;
+// How long to wait for shell integration in a new terminal before falling back to sendText
+const SHELL_INTEGRATION_TIMEOUT_MS = 3000;
+// How long a command run from a reply may take before its output is no longer offered to the chat
+const COMMAND_RESULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} TerminalExecutionRecord
+ * @property {string} commandLine
+ * @property {string} terminalName
+ * @property {string} [cwd]
+ * @property {number | undefined} exitCode
+ * @property {string} output
+ */
+
+// Remove ANSI colour codes and the OSC sequences shell integration writes around each command
+function stripAnsi(text) {
+	return text
+		.replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)/g, '')
+		.replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+		.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Records the command line, exit code and output of every command run in an integrated
+ * terminal with shell integration. Output has to be read from the moment the command starts.
+ */
+class TerminalTracker {
+	constructor() {
+		/** @type {Map<vscode.TerminalShellExecution, {chunks: string[], done: Promise<void>}>} */
+		this._running = new Map();
+		/** @type {TerminalExecutionRecord | undefined} */
+		this._last = undefined;
+		this._onDidRecord = new vscode.EventEmitter();
+		/** Fires with the execution and its record once the output is complete */
+		this.onDidRecord = this._onDidRecord.event;
+	}
+
+	register() {
+		return vscode.Disposable.from(
+			this._onDidRecord,
+			vscode.window.onDidStartTerminalShellExecution(e => this._start(e.execution)),
+			vscode.window.onDidEndTerminalShellExecution(e => this._end(e))
+		);
+	}
+
+	_start(execution) {
+		const entry = { chunks: [], done: Promise.resolve() };
+		entry.done = (async () => {
+			let size = 0;
+			for await (const data of execution.read()) {
+				entry.chunks.push(data);
+				size += data.length;
+				// Drop old chunks of long-running commands; only the tail is attached
+				while (size > TERMINAL_OUTPUT_LIMIT * 4 && entry.chunks.length > 1) size -= entry.chunks.shift().length;
+			}
+		})().catch(err => console.error('Failed to read terminal output:', err));
+		this._running.set(execution, entry);
+	}
+
+	async _end(event) {
+		const entry = this._running.get(event.execution);
+		this._running.delete(event.execution);
+		if (entry) await entry.done;
+		let output = entry ? stripAnsi(entry.chunks.join('')).trim() : '';
+		if (output.length > TERMINAL_OUTPUT_LIMIT) output = '…' + output.slice(-TERMINAL_OUTPUT_LIMIT);
+		const cwd = event.execution.cwd;
+		/** @type {TerminalExecutionRecord} */
+		const record = {
+			commandLine: event.execution.commandLine.value,
+			terminalName: event.terminal.name,
+			cwd: cwd ? cwd.fsPath : undefined,
+			exitCode: event.exitCode,
+			output
+		};
+		if (record.commandLine.trim()) this._last = record;
+		this._onDidRecord.fire({ execution: event.execution, record });
+	}
+
+	/** @returns {TerminalExecutionRecord | undefined} */
+	getLast() {
+		return this._last;
+	}
+}
+
+/**
+ * The last terminal command as chat context: the full text for the model and a short label for
+ * the chat view (the output is hidden like attached file contents).
+ * @param {TerminalExecutionRecord | undefined} record
+ * @returns {{text: string, display: string}}
+ */
+function formatTerminalContext(record) {
+	if (!record) {
+		const text = '\n\n[No terminal command output is available. Shell integration must be enabled in the terminal.]';
+		return { text, display: text };
+	}
+	const status = record.exitCode === undefined ? 'exit code unknown' : `exit code ${record.exitCode}`;
+	const header = `[Terminal: ${record.terminalName}${record.cwd ? ` in ${record.cwd}` : ''}]\n$ ${record.commandLine} (${status})`;
+	return {
+		text: `\n\n${header}\n[Terminal Output Start]\n\`\`\`\n${record.output}\n\`\`\`\n[Terminal Output End]`,
+		display: `\n\n${header}`
+	};
+}
+
+// Patterns from a list setting; invalid regular expressions are reported and skipped
+function getCommandPatterns(setting) {
+	const patterns = [];
+	for (const source of vscode.workspace.getConfiguration().get(setting) || []) {
+		try {
+			patterns.push(new RegExp(source));
+		} catch (err) {
+			vscode.window.showWarningMessage(`Ignoring invalid pattern "${source}" in ${setting}: ${err.message}`);
+		}
+	}
+	return patterns;
+}
+
+// Words that may precede the command itself in a segment: keywords, grouping and VAR=value
+const SHELL_PREFIX = /^(?:(?:if|then|else|elif|do|while|until|time|!|\{)(?:\s+|$)|[A-Za-z_][A-Za-z0-9_]*=(?:'[^']*'|"[^"]*"|\S*)(?:\s+|$))/;
+// Segments that only close a compound command
+const SHELL_CLOSER = /^(?:fi|done|esac|\})$/;
+
+/**
+ * Split a command line into the simple commands it runs: at &&, ||, ;, | and &, and at the
+ * boundaries of (...) subshells, $(...) and `...` substitutions (also inside double quotes).
+ * "cd x && sudo rm -rf /" gives "cd x" and "sudo rm -rf /".
+ * @param {string} line
+ * @returns {string[] | null} null when the line cannot be split safely: unbalanced quotes,
+ *   parentheses or backticks, or a here-document
+ */
+function splitShellCommand(line) {
+	const segments = [];
+	// One frame per nesting level; the outermost has no closer
+	const stack = [{ closer: '', text: '', quote: '' }];
+	const open = closer => stack.push({ closer, text: '', quote: '' });
+	const close = () => segments.push(stack.pop().text);
+	for (let i = 0; i < line.length; i++) {
+		const frame = stack[stack.length - 1];
+		const ch = line[i];
+		const next = line[i + 1];
+		if (frame.quote === "'") {
+			if (ch === "'") frame.quote = '';
+			frame.text += ch;
+		} else if (ch === '\\') {
+			frame.text += ch + (next || '');
+			i++;
+		} else if (ch === '$' && next === '(' && line[i + 2] === '(') {
+			// $((...)) is arithmetic, not a command
+			const end = line.indexOf('))', i + 3);
+			if (end === -1) return null;
+			frame.text += line.slice(i, end + 2);
+			i = end + 1;
+		} else if (ch === '$' && next === '(') {
+			open(')');
+			i++;
+		} else if (ch === '`') {
+			if (frame.closer === '`') close();
+			else open('`');
+		} else if (frame.quote === '"') {
+			if (ch === '"') frame.quote = '';
+			frame.text += ch;
+		} else if (ch === "'" || ch === '"') {
+			frame.quote = ch;
+			frame.text += ch;
+		} else if (ch === '(') {
+			open(')');
+		} else if (ch === ')') {
+			if (frame.closer !== ')') return null;
+			close();
+		} else if (ch === '<' && next === '<') {
+			if (line[i + 2] !== '<') return null; // here-document; <<< is a here-string
+			frame.text += '<<<';
+			i += 2;
+		} else if ((ch === '&' && (next === '>' || /[<>]$/.test(frame.text))) || (ch === '|' && frame.text.endsWith('>'))) {
+			frame.text += ch; // redirections such as 2>&1, &> and >|
+		} else if (ch === ';' || ch === '|' || ch === '&') {
+			segments.push(frame.text);
+			frame.text = '';
+			if (next === ch || (ch === '|' && next === '&')) i++;
+		} else {
+			frame.text += ch;
+		}
+	}
+	if (stack.length !== 1 || stack[0].quote) return null;
+	segments.push(stack[0].text);
+
+	const commands = [];
+	for (let segment of segments) {
+		segment = segment.trim();
+		for (let match; (match = SHELL_PREFIX.exec(segment));) segment = segment.slice(match[0].length).trim();
+		if (segment && !SHELL_CLOSER.test(segment)) commands.push(segment);
+	}
+	return commands;
+}
+
+/**
+ * Check a shell snippet against the denied and allowed command patterns
+ * (vswizard.terminal.deniedCommands and vswizard.terminal.allowedCommands). Denied patterns are
+ * tested against every line and every command in it, so chaining cannot hide a denied command;
+ * with an allowlist every command must match it, and lines that cannot be split are refused.
+ * @param {string[]} lines command lines from parseShellCommands
+ * @param {RegExp[]} denied
+ * @param {RegExp[]} allowed empty allows everything not denied
+ * @returns {string | undefined} why the snippet may not run
+ */
+function checkCommandPolicy(lines, denied, allowed) {
+	for (const line of lines) {
+		const commands = splitShellCommand(line);
+		for (const command of [line, ...(commands || [])]) {
+			const deniedBy = denied.find(p => p.test(command));
+			if (deniedBy) return `"${command}" matches the denied pattern ${deniedBy.source}.`;
+		}
+		if (allowed.length === 0) continue;
+		if (!commands) return `"${line}" cannot be split into single commands safely, so it cannot be checked against the allowed command patterns.`;
+		const notAllowed = commands.find(command => !allowed.some(p => p.test(command)));
+		if (notAllowed !== undefined) return `"${notAllowed}" does not match any allowed command pattern.`;
+	}
+	return undefined;
+}
+
+// Command lines of a shell code block, without comments and "$ " prompts
+function parseShellCommands(code) {
+	return code.split('\n')
+		.map(line => line.replace(/^\s*[$>]\s+/, '').trim())
+		.filter(line => line && !line.startsWith('#'));
+}
+
+// The dedicated VSWizard terminal, created on first use
+function getVSWizardTerminal() {
+	const existing = vscode.window.terminals.find(t => t.name === TERMINAL_NAME && t.exitStatus === undefined);
+	if (existing) return existing;
+	const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+	return vscode.window.createTerminal({ name: TERMINAL_NAME, cwd: folder ? folder.uri : undefined });
+}
+
+// Shell integration of a terminal, or undefined when it does not activate in time
+function waitForShellIntegration(terminal) {
+	if (terminal.shellIntegration) return Promise.resolve(terminal.shellIntegration);
+	return new Promise(resolve => {
+		const timer = setTimeout(() => {
+			listener.dispose();
+			resolve(undefined);
+		}, SHELL_INTEGRATION_TIMEOUT_MS);
+		const listener = vscode.window.onDidChangeTerminalShellIntegration(e => {
+			if (e.terminal !== terminal) return;
+			clearTimeout(timer);
+			listener.dispose();
+			resolve(e.shellIntegration);
+		});
+	});
+}
+
+// Record of a command once it ends, or undefined when the terminal closes or it runs too long
+function waitForExecutionRecord(terminal, execution) {
+	return new Promise(resolve => {
+		const finish = record => {
+			clearTimeout(timer);
+			recordListener.dispose();
+			closeListener.dispose();
+			resolve(record);
+		};
+		const timer = setTimeout(() => finish(undefined), COMMAND_RESULT_TIMEOUT_MS);
+		const recordListener = terminalTracker.onDidRecord(e => {
+			if (e.execution === execution) finish(e.record);
+		});
+		const closeListener = vscode.window.onDidCloseTerminal(closed => {
+			if (closed === terminal) finish(undefined);
+		});
+	});
+}
+
+/**
+ * Run a shell code block from a reply in the VSWizard terminal after the user confirms it.
+ * When shell integration reports the result, offer to send the output to the chat.
+ * @param {string} code
+ */
+async function runInTerminal(code) {
+	const commands = parseShellCommands(code);
+	if (commands.length === 0) return;
+	const refusal = checkCommandPolicy(
+		commands,
+		getCommandPatterns('vswizard.terminal.deniedCommands'),
+		getCommandPatterns('vswizard.terminal.allowedCommands')
+	);
+	if (refusal) {
+		vscode.window.showWarningMessage(`VSWizard will not run this command: ${refusal}`);
+		return;
+	}
+	const commandLine = commands.join('\n');
+	const confirm = await vscode.window.showWarningMessage(
+		`Run in the ${TERMINAL_NAME} terminal?`,
+		{ modal: true, detail: commandLine },
+		'Run'
+	);
+	if (confirm !== 'Run') return;
+
+	const terminal = getVSWizardTerminal();
+	terminal.show(true);
+	const shellIntegration = await waitForShellIntegration(terminal);
+	if (!shellIntegration) {
+		// Without shell integration the output cannot be read back
+		terminal.sendText(commandLine, true);
+		return;
+	}
+	const execution = shellIntegration.executeCommand(commandLine);
+	const record = await waitForExecutionRecord(terminal, execution);
+	if (!record) return;
+	const status = record.exitCode === undefined ? 'finished' : `finished with exit code ${record.exitCode}`;
+	const choice = await vscode.window.showInformationMessage(`"${record.commandLine}" ${status}.`, 'Send Output to Chat');
+	if (choice !== 'Send Output to Chat' || !chatViewProviderInstance) return;
+	const context = formatTerminalContext(record);
+	await chatViewProviderInstance.submitPrompt(
+		`I ran this command.${context.text}`,
+		`I ran this command.${context.display}`
+	);
+}
+
+// ---------------------------------------------------------------------------
+// Ollama model manager: installed and loaded models, pull, copy, rename, delete, unload
+// ---------------------------------------------------------------------------
+
+function formatBytes(bytes) {
+	if (!bytes) return '0 B';
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+	return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent >= 3 ? 1 : 0)} ${units[exponent]}`;
+}
+
+/**
+ * Call an Ollama endpoint that answers with JSON (or nothing) and throw on HTTP errors,
+ * using the error message Ollama sends in the body when there is one.
+ * @param {string} path e.g. "/api/copy"
+ * @param {string} method
+ * @param {any} [body]
+ */
+async function ollamaRequest(path, method, body) {
+	const response = await fetch(`${getOllamaUrl()}${path}`, {
+		method,
+		headers: { 'Content-Type': 'application/json' },
+		body: body === undefined ? undefined : JSON.stringify(body)
+	});
+	const text = await response.text();
+	let data;
+	try {
+		data = text ? JSON.parse(text) : {};
+	} catch {
+		data = {};
+	}
+	if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+	return data;
+}
+
+class ModelTreeProvider {
+	constructor() {
+		this._onDidChangeTreeData = new vscode.EventEmitter();
+		this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+	}
+
+	refresh() {
+		this._onDidChangeTreeData.fire(undefined);
+	}
+
+	async getChildren(element) {
+		if (element) return [];
+		let models;
+		let running;
+		try {
+			[models, running] = await Promise.all([
+				listOllamaModels(getOllamaUrl()),
+				ollamaRequest('/api/ps', 'GET').then(data => data.models || [])
+			]);
+		} catch (error) {
+			return [{ type: 'error', message: `Cannot reach Ollama at ${getOllamaUrl()}: ${error.message}` }];
+		}
+		const loaded = new Map(running.map(m => [m.name, m]));
+		return models
+			.slice()
+			.sort((a, b) => a.name.localeCompare(b.name))
+			.map(model => ({ type: 'model', model, loaded: loaded.get(model.name) }));
+	}
+
+	getTreeItem(element) {
+		if (element.type === 'error') {
+			const errorItem = new vscode.TreeItem(element.message, vscode.TreeItemCollapsibleState.None);
+			errorItem.iconPath = new vscode.ThemeIcon('warning');
+			return errorItem;
+		}
+		const { model, loaded } = element;
+		const details = model.details || {};
+		const item = new vscode.TreeItem(model.name, vscode.TreeItemCollapsibleState.None);
+		item.id = `model:${model.name}`;
+		item.description = [
+			formatBytes(model.size),
+			details.quantization_level,
+			model.multimodal ? 'vision' : '',
+			loaded ? 'loaded' : ''
+		].filter(Boolean).join(' · ');
+		item.tooltip = [
+			model.name,
+			`Size: ${formatBytes(model.size)}`,
+			details.family ? `Family: ${details.family}` : '',
+			details.parameter_size ? `Parameters: ${details.parameter_size}` : '',
+			details.quantization_level ? `Quantization: ${details.quantization_level}` : '',
+			`Context length: ${model.context_length}`,
+			`Vision: ${model.multimodal ? 'yes' : 'no'}`,
+			loaded ? `Loaded in memory: ${formatBytes(loaded.size_vram || loaded.size)} (until ${new Date(loaded.expires_at).toLocaleTimeString()})` : '',
+			`Modified: ${new Date(model.modified_at).toLocaleString()}`
+		].filter(Boolean).join('\n');
+		item.iconPath = new vscode.ThemeIcon(loaded ? 'vm-running' : 'vm');
+		item.contextValue = loaded ? 'loadedOllamaModel' : 'ollamaModel';
+		return item;
+	}
+}
+
+// Model name targeted by a tree command: a tree node, a name, or picked from the installed models
+async function resolveModelArg(arg, placeHolder) {
+	if (typeof arg === 'string') return arg;
+	if (arg && arg.model) return arg.model.name;
+	const models = await listOllamaModels(getOllamaUrl());
+	if (models.length === 0) {
+		vscode.window.showInformationMessage('No Ollama models are installed.');
+		return undefined;
+	}
+	return vscode.window.showQuickPick(models.map(m => m.name), { placeHolder });
+}
+
+/**
+ * Download a model with /api/pull, reporting progress per layer in a cancellable notification.
+ * @param {string} name e.g. "llama3.2" or "qwen2.5-coder:7b"
+ */
+async function pullOllamaModel(name) {
+	await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: `Pulling ${name}`,
+		cancellable: true
+	}, async (progress, token) => {
+		const controller = new AbortController();
+		token.onCancellationRequested(() => controller.abort());
+		const response = await fetch(`${getOllamaUrl()}/api/pull`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ model: name, stream: true }),
+			signal: controller.signal
+		});
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+		// Ollama reports progress per layer, so the percentage restarts for every layer
+		await readResponseLines(response, line => {
+			if (!line.trim()) return;
+			const data = JSON.parse(line);
+			if (data.error) throw new Error(data.error);
+			if (data.total) {
+				const percent = Math.floor((data.completed || 0) / data.total * 100);
+				progress.report({ message: `${data.status}: ${percent}% of ${formatBytes(data.total)}` });
+			} else {
+				progress.report({ message: data.status });
+			}
+		});
+	});
+}
+
+/**
+ * Register the Models view and its commands.
+ * @param {vscode.ExtensionContext} context
+ */
+function registerModelManager(context) {
+	const modelTreeProvider = new ModelTreeProvider();
+	context.subscriptions.push(vscode.window.registerTreeDataProvider('vswizard-models', modelTreeProvider));
+
+	// Run a model operation, report failures and refresh the view either way
+	const run = async (action, failure) => {
+		try {
+			await action();
+		} catch (error) {
+			if (error.name !== 'AbortError') vscode.window.showErrorMessage(`${failure}: ${error.message}`);
+		} finally {
+			modelTreeProvider.refresh();
+		}
+	};
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.refreshModels', () => modelTreeProvider.refresh()));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.pullModel', async function () {
+		const name = await vscode.window.showInputBox({
+			prompt: 'Model to pull from the Ollama library',
+			placeHolder: 'e.g. llama3.2, qwen2.5-coder:7b, nomic-embed-text',
+			ignoreFocusOut: true
+		});
+		if (!name || !name.trim()) return;
+		await run(async () => {
+			await pullOllamaModel(name.trim());
+			vscode.window.showInformationMessage(`Pulled ${name.trim()}.`);
+		}, `Failed to pull ${name.trim()}`);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.deleteModel', async function (arg) {
+		const name = await resolveModelArg(arg, 'Select a model to delete');
+		if (!name) return;
+		const confirm = await vscode.window.showWarningMessage(`Delete model "${name}"?`, { modal: true }, 'Delete');
+		if (confirm !== 'Delete') return;
+		await run(() => ollamaRequest('/api/delete', 'DELETE', { model: name }), `Failed to delete ${name}`);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.copyModel', async function (arg) {
+		const name = await resolveModelArg(arg, 'Select a model to copy');
+		if (!name) return;
+		const destination = await vscode.window.showInputBox({ prompt: `Copy "${name}" as`, value: `${name.split(':')[0]}-copy`, ignoreFocusOut: true });
+		if (!destination || !destination.trim()) return;
+		await run(() => ollamaRequest('/api/copy', 'POST', { source: name, destination: destination.trim() }), `Failed to copy ${name}`);
+	}));
+
+	// Ollama has no rename: copy to the new name, then delete the old one
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.renameModel', async function (arg) {
+		const name = await resolveModelArg(arg, 'Select a model to rename');
+		if (!name) return;
+		const destination = await vscode.window.showInputBox({ prompt: `Rename "${name}" to`, value: name, ignoreFocusOut: true });
+		if (!destination || !destination.trim() || destination.trim() === name) return;
+		await run(async () => {
+			await ollamaRequest('/api/copy', 'POST', { source: name, destination: destination.trim() });
+			await ollamaRequest('/api/delete', 'DELETE', { model: name });
+		}, `Failed to rename ${name}`);
+	}));
+
+	// keep_alive 0 asks Ollama to evict the model from memory right away
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.unloadModel', async function (arg) {
+		const name = await resolveModelArg(arg, 'Select a model to unload');
+		if (!name) return;
+		await run(() => ollamaRequest('/api/generate', 'POST', { model: name, keep_alive: 0 }), `Failed to unload ${name}`);
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.showModelDetails', async function (arg) {
+		const name = await resolveModelArg(arg, 'Select a model to inspect');
+		if (!name) return;
+		try {
+			const details = await ollamaRequest('/api/show', 'POST', { model: name });
+			const document = await vscode.workspace.openTextDocument({ content: JSON.stringify({ name, ...details }, null, 2), language: 'json' });
+			await vscode.window.showTextDocument(document, { preview: true });
+		} catch (error) {
+			vscode.window.showErrorMessage(`Failed to read details of ${name}: ${error.message}`);
+		}
+	}));
+
+	// Make a model the chat model of the Ollama provider
+	context.subscriptions.push(vscode.commands.registerCommand('vswizard.useModel', async function (arg) {
+		if (getActiveProvider(context.workspaceState).id !== ollamaProvider.id) {
+			vscode.window.showWarningMessage('Select the Ollama provider (or an Ollama connection profile) to chat with an Ollama model.');
+			return;
+		}
+		const name = await resolveModelArg(arg, 'Select a model to chat with');
+		if (!name) return;
+		const model = arg && arg.model ? arg.model : (await listOllamaModels(getOllamaUrl())).find(m => m.name === name);
+		if (!model) return;
+		await ollamaProvider.selectModel(context.workspaceState, model);
+		if (chatViewProviderInstance) postModelInfo(chatViewProviderInstance);
+		vscode.window.showInformationMessage(`Chatting with ${model.name}.`);
+	}));
+}
+
+// ---------------------------------------------------------------------------
+// Compare mode: one prompt, several models (of any provider) answering side by side
+// ---------------------------------------------------------------------------
+
+// Providers that do not answer within this time are left out of the model picker
+const COMPARE_LIST_TIMEOUT_MS = 5000;
+
+/**
+ * Ask which models to compare; the previous choice is preselected. Needs at least two.
+ * @param {vscode.Memento} workspaceState
+ * @returns {Promise<Array<{provider: string, model: string, contextLength?: number}> | undefined>}
+ */
+async function selectCompareModels(workspaceState) {
+	const previous = workspaceState.get(VSWIZARD_COMPARE_MODELS, []);
+	const items = await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: 'Listing models of all providers'
+	}, async () => {
+		const results = await Promise.allSettled(Array.from(providerRegistry.values()).map(async provider => {
+			const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), COMPARE_LIST_TIMEOUT_MS));
+			const models = await Promise.race([provider.listModels(workspaceState), timeout]);
+			return (models || []).map(model => ({
+				label: model.name,
+				description: provider.label,
+				picked: previous.some(p => p.provider === provider.id && p.model === model.name),
+				entry: { provider: provider.id, model: model.name, contextLength: model.context_length }
+			}));
+		}));
+		return results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+	});
+	if (items.length < 2) {
+		vscode.window.showWarningMessage('Compare mode needs at least two models. Configure another provider or pull another Ollama model.');
+		return undefined;
+	}
+	const picks = await vscode.window.showQuickPick(items, { canPickMany: true, placeHolder: 'Select two or more models to compare' });
+	if (!picks) return undefined;
+	if (picks.length < 2) {
+		vscode.window.showWarningMessage('Select at least two models to compare.');
+		return undefined;
+	}
+	const models = picks.map(p => p.entry);
+	await workspaceState.update(VSWIZARD_COMPARE_MODELS, models);
+	return models;
+}
+
+/**
+ * Stream replies to the last user message from every compare model at once. Each column reports
+ * time to first token, tokens per second and length. The prompt is taken out of the history
+ * and only stored again, together with the reply, when the user keeps one; otherwise the next
+ * message would follow a user turn without an answer.
+ * @param {ChatViewProvider} providerInstance
+ * @returns {Promise<boolean>} always false: the history changes only when a reply is kept
+ */
+async function handleCompareChat(providerInstance) {
+	const workspaceState = providerInstance._workspaceState;
+	const webviewView = providerInstance._webviewView;
+	const post = msg => webviewView && webviewView.webview.postMessage(msg);
+	const abortSignal = providerInstance._abortController ? providerInstance._abortController.signal : null;
+	const columns = workspaceState.get(VSWIZARD_COMPARE_MODELS, [])
+		.filter(c => providerRegistry.has(c.provider))
+		.map((c, index) => ({ ...c, index, label: `${c.model} (${providerRegistry.get(c.provider).label})` }));
+	if (columns.length < 2) {
+		// Nothing will answer the prompt, so do not keep it as an unanswered turn
+		const chatHistory = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+		chatHistory.pop();
+		persistChatHistory(workspaceState, chatHistory);
+		post({ command: 'addMessage', text: 'Error: select at least two models for compare mode (turn Compare off and on again).', sender: 'bot' });
+		return false;
+	}
+
+	// The history has to fit the smallest context window of the compared models
+	const smallest = columns
+		.map(c => ({ column: c, limit: getModelContextLimit(workspaceState, c.provider, c).limit }))
+		.reduce((a, b) => (b.limit < a.limit ? b : a));
+	const overflow = await applyContextBudget(providerInstance, smallest.column.provider, 0, smallest.column);
+	const chatHistory = providerInstance._chatHistory || workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	if (overflow) {
+		chatHistory.pop();
+		persistChatHistory(workspaceState, chatHistory);
+		post({ command: 'addMessage', text: `Error: ${overflow}`, sender: 'bot' });
+		post({ command: 'resetSendButton' });
+		return false;
+	}
+	for (const column of columns) {
+		column.messages = historyToMessages(chatHistory, column.model);
+		const systemPrompt = buildSystemPrompt(workspaceState, column.provider);
+		if (systemPrompt) column.messages.unshift({ role: 'system', content: systemPrompt });
+	}
+	const prompt = chatHistory.pop();
+	persistChatHistory(workspaceState, chatHistory);
+	const compareId = Date.now();
+	providerInstance._compareResults = { id: compareId, prompt, history: chatHistory, position: chatHistory.length, replies: [] };
+	post({ command: 'compareStart', id: compareId, columns: columns.map(c => ({ index: c.index, label: c.label })) });
+
+	await Promise.all(columns.map(async column => {
+		const provider = providerRegistry.get(column.provider);
+		const messages = column.messages;
+
+		const started = Date.now();
+		let firstToken = 0;
+		let text = '';
+		let usage;
+		let reasoning;
+		try {
+			const result = await requestChat(provider, workspaceState, messages, {
+				signal: abortSignal,
+				model: column.model,
+				contextLength: smallest.limit,
+				think: shouldRequestReasoning(),
+				onReasoning: delta => post({ command: 'compareReasoning', index: column.index, text: delta }),
+				onDelta: delta => {
+					if (!firstToken) firstToken = Date.now();
+					text += delta;
+					post({ command: 'compareChunk', index: column.index, text: delta });
+				}
+			}, 'compare');
+			usage = result.usage;
+			reasoning = messageReasoning(result);
+		} catch (error) {
+			if (error.name !== 'AbortError') {
+				post({ command: 'compareError', index: column.index, error: error.message });
+				return;
+			}
+		}
+		const finished = Date.now();
+		const tokens = usage ? usage.completionTokens : countTokens(text);
+		const seconds = usage && usage.evalDurationMs ? usage.evalDurationMs / 1000 : (finished - (firstToken || started)) / 1000;
+		const stats = {
+			latency: ((firstToken || finished) - started) / 1000,
+			tokensPerSecond: seconds > 0 ? tokens / seconds : 0,
+			tokens,
+			characters: text.length
+		};
+		if (providerInstance._compareResults && providerInstance._compareResults.id === compareId) {
+			providerInstance._compareResults.replies[column.index] = { text, label: column.label, reasoning, usage: usage && messageUsage(usage) };
+		}
+		post({ command: 'compareDone', index: column.index, stats });
+	}));
+	post({ command: 'streamDone', sender: 'bot' });
+	return false;
+}
+
+/**
+ * Store one compare reply and its prompt in the history and discard the others.
+ * @param {ChatViewProvider} providerInstance
+ * @param {number} id comparison the reply belongs to (older comparisons are gone)
+ * @param {number} index column index
+ * @returns {boolean} true when the reply was stored
+ */
+function keepCompareReply(providerInstance, id, index) {
+	const results = providerInstance._compareResults;
+	const reply = results && results.id === id && results.replies[index];
+	if (!reply || !reply.text) return false;
+	const chatHistory = providerInstance._chatHistory || providerInstance._workspaceState.get(OLLAMA_CHAT_HISTORY, []);
+	// Only while the conversation has not moved on (another session, or messages sent since)
+	if (chatHistory !== results.history || chatHistory.length !== results.position) return false;
+	chatHistory.push(results.prompt, { text: reply.text, sender: 'bot', model: reply.label, reasoning: reply.reasoning, usage: reply.usage });
+	providerInstance._chatHistory = chatHistory;
+	providerInstance._compareResults = null;
+	persistChatHistory(providerInstance._workspaceState, chatHistory);
+	titleCurrentSession(providerInstance._workspaceState);
+	return true;
+}
+
+// ---------------------------------------------------------------------------
+// Reasoning: thinking output kept apart from the answer
+// ---------------------------------------------------------------------------
+
+const THINK_OPEN_TAG = '<think>';
+const THINK_CLOSE_TAG = '</think>';
+
+/**
+ * Models without a separate reasoning channel write it at the start of the answer as
+ * <think>...</think>. This splits a stream of such text into answer and reasoning parts.
+ * @param {(delta: string) => void} onContent
+ * @param {(delta: string) => void} onReasoning
+ */
+function createThinkTagSplitter(onContent, onReasoning) {
+	let state = 'start'; // 'start' until the first text shows whether there is a <think> block, then 'thinking' or 'answer'
+	let buffer = '';
+	const splitter = {
+		content: '',
+		reasoning: '',
+		push(delta) {
+			if (state === 'answer') {
+				emitContent(delta);
+				return;
+			}
+			buffer += delta;
+			if (state === 'start') {
+				const head = buffer.trimStart();
+				if (head.startsWith(THINK_OPEN_TAG)) {
+					state = 'thinking';
+					buffer = head.slice(THINK_OPEN_TAG.length);
+				} else if (THINK_OPEN_TAG.startsWith(head)) {
+					return; // could still become <think>
+				} else {
+					state = 'answer';
+					emitContent(buffer);
+					buffer = '';
+					return;
+				}
+			}
+			const closeIndex = buffer.indexOf(THINK_CLOSE_TAG);
+			if (closeIndex !== -1) {
+				emitReasoning(buffer.slice(0, closeIndex));
+				const rest = buffer.slice(closeIndex + THINK_CLOSE_TAG.length).replace(/^\s+/, '');
+				buffer = '';
+				state = 'answer';
+				if (rest) emitContent(rest);
+				return;
+			}
+			// Hold back what could be the start of </think>
+			const keep = THINK_CLOSE_TAG.length - 1;
+			if (buffer.length > keep) {
+				emitReasoning(buffer.slice(0, buffer.length - keep));
+				buffer = buffer.slice(buffer.length - keep);
+			}
+		},
+		flush() {
+			if (state === 'thinking') emitReasoning(buffer);
+			else if (buffer) emitContent(buffer);
+			buffer = '';
+		}
+	};
+	function emitContent(text) {
+		if (!text) return;
+		splitter.content += text;
+		if (onContent) onContent(text);
+	}
+	function emitReasoning(text) {
+		if (!text) return;
+		splitter.reasoning += text;
+		if (onReasoning) onReasoning(text);
+	}
+	return splitter;
+}
+
+// Split a stored reply that starts with a <think> block (replies saved before reasoning was kept apart)
+function splitThinkTags(text) {
+	const splitter = createThinkTagSplitter(null, null);
+	splitter.push(text);
+	splitter.flush();
+	return { content: splitter.content, reasoning: splitter.reasoning };
+}
+
+// Whether a model's earlier reasoning is sent back to it (vswizard.reasoning.keepInPrompt)
+function keepReasoningInPrompt(model) {
+	const keep = vscode.workspace.getConfiguration('vswizard').get('reasoning.keepInPrompt') || {};
+	return !!model && keep[model] === true;
+}
+
+// Ask providers that support it to return reasoning separately (Ollama's think option)
+function shouldRequestReasoning() {
+	return vscode.workspace.getConfiguration('vswizard').get('reasoning.request', true);
+}
+
+/**
+ * Reasoning stored with a reply: the text and how long the model thought before answering.
+ * @param {{reasoning?: string, reasoningMs?: number}} result
+ * @returns {{text: string, durationMs?: number} | undefined}
+ */
+function messageReasoning(result) {
+	if (!result.reasoning || !result.reasoning.trim()) return undefined;
+	return { text: result.reasoning.trim(), durationMs: result.reasoningMs };
+}
+
+// Command: send the current model's earlier reasoning back to it, or stop doing so
+async function toggleReasoningInPrompt(workspaceState) {
+	const provider = getActiveProvider(workspaceState);
+	const model = provider.getModelName(workspaceState);
+	if (!model) {
+		vscode.window.showWarningMessage('Select a model first.');
+		return;
+	}
+	const config = vscode.workspace.getConfiguration('vswizard');
+	const keep = { ...(config.get('reasoning.keepInPrompt') || {}) };
+	if (keep[model]) {
+		delete keep[model];
+	} else {
+		keep[model] = true;
+	}
+	await config.update('reasoning.keepInPrompt', keep, vscode.ConfigurationTarget.Global);
+	vscode.window.showInformationMessage(keep[model]
+		? `Earlier reasoning of ${model} is now sent back to it with the conversation.`
+		: `Earlier reasoning of ${model} is no longer sent back to it.`);
+}
+
+// ---------------------------------------------------------------------------
+// Usage: token counts, latency and estimated cost of every request
+// ---------------------------------------------------------------------------
+
+/**
+ * Token counts reported by a provider for one request.
+ * @typedef {Object} ChatUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} [evalDurationMs] time spent generating the reply, when the provider reports it
+ * @property {boolean} [estimated] counted locally because the provider reported nothing
+ */
+
+/**
+ * One entry of the usage ledger. Requests of earlier months are rolled into one entry per day,
+ * provider, model, purpose and session; those carry `requests` and `estimatedRequests` counts and
+ * the summed tokens and durations (evalDurationMs then holds the generation time of all of them).
+ * @typedef {ChatUsage & {time: number, provider: string, model: string, purpose: string, durationMs: number, sessionId: string | null, requests?: number, estimatedRequests?: number}} UsageRecord
+ */
+
+// Entries kept in the ledger; past this, days before today are rolled up and then the oldest dropped
+const USAGE_LEDGER_LIMIT = 2000;
+
+/**
+ * The usage ledger of all workspaces.
+ * @returns {UsageRecord[]}
+ */
+function getUsageLedger() {
+	return usageState ? usageState.get(VSWIZARD_USAGE, []) : [];
+}
+
+function getDayStart(time) {
+	const date = new Date(time);
+	return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+/**
+ * Roll single requests older than before into daily totals.
+ * @param {UsageRecord[]} ledger
+ * @param {number} before
+ * @returns {UsageRecord[]}
+ */
+function rollUpUsage(ledger, before) {
+	const days = new Map();
+	const kept = [];
+	for (const r of ledger) {
+		if (r.time >= before) {
+			kept.push(r);
+			continue;
+		}
+		const time = getDayStart(r.time);
+		const key = JSON.stringify([time, r.provider, r.model, r.purpose, r.sessionId]);
+		let day = days.get(key);
+		if (!day) {
+			day = { time, provider: r.provider, model: r.model, purpose: r.purpose, sessionId: r.sessionId, requests: 0, estimatedRequests: 0, promptTokens: 0, completionTokens: 0, durationMs: 0, evalDurationMs: 0 };
+			days.set(key, day);
+		}
+		day.requests += r.requests || 1;
+		day.estimatedRequests += r.requests ? (r.estimatedRequests || 0) : (r.estimated ? 1 : 0);
+		day.promptTokens += r.promptTokens;
+		day.completionTokens += r.completionTokens;
+		day.durationMs += r.durationMs;
+		day.evalDurationMs += r.evalDurationMs || r.durationMs;
+	}
+	return [...days.values(), ...kept].sort((a, b) => a.time - b.time);
+}
+
+// Usage recorded per workspace by earlier versions joins the global ledger once
+async function migrateUsageLedger(workspaceState) {
+	const legacy = workspaceState.get(VSWIZARD_USAGE);
+	if (!legacy || !usageState) return;
+	const ledger = rollUpUsage([...getUsageLedger(), ...legacy].sort((a, b) => a.time - b.time), getMonthStart());
+	await usageState.update(VSWIZARD_USAGE, ledger.slice(-USAGE_LEDGER_LIMIT));
+	await workspaceState.update(VSWIZARD_USAGE, undefined);
+}
+
+// Price per million tokens of a model (longest matching prefix in vswizard.usage.prices), if any
+function getModelPrice(model) {
+	const prices = vscode.workspace.getConfiguration().get('vswizard.usage.prices') || {};
+	const prefix = Object.keys(prices)
+		.filter(p => model.startsWith(p))
+		.sort((a, b) => b.length - a.length)[0];
+	return prefix ? prices[prefix] : undefined;
+}
+
+/**
+ * Estimated cost in USD; local providers are free.
+ * @param {{provider: string, model: string, promptTokens: number, completionTokens: number}} record
+ */
+function getUsageCost(record) {
+	if (record.provider === 'ollama' || record.provider === 'llamacpp') return 0;
+	const price = getModelPrice(record.model);
+	if (!price) return 0;
+	return (record.promptTokens * (price.input || 0) + record.completionTokens * (price.output || 0)) / 1e6;
+}
+
+function getMonthStart(time = Date.now()) {
+	const date = new Date(time);
+	return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+// Month the user was warned about / agreed to exceed the budget in (once per window and month)
+let budgetWarningMonth = 0;
+let budgetOverrideMonth = 0;
+
+/**
+ * Before a paid request: warn at 80% of vswizard.usage.monthlyBudget and ask for confirmation
+ * once the month's estimated cost in all workspaces reached it. Throws when the user cancels.
+ * @param {LLMProvider} provider
+ * @param {string} model
+ */
+async function checkUsageBudget(provider, model) {
+	const budget = vscode.workspace.getConfiguration().get('vswizard.usage.monthlyBudget') || 0;
+	const monthStart = getMonthStart();
+	if (!budget || budgetOverrideMonth === monthStart) return;
+	if (getUsageCost({ provider: provider.id, model, promptTokens: 1e6, completionTokens: 0 }) === 0) return;
+	const spent = getUsageLedger()
+		.filter(r => r.time >= monthStart)
+		.reduce((sum, r) => sum + getUsageCost(r), 0);
+	if (spent < budget) {
+		if (spent >= budget * 0.8 && budgetWarningMonth !== monthStart) {
+			budgetWarningMonth = monthStart;
+			vscode.window.showWarningMessage(`VSWizard: $${spent.toFixed(2)} of the $${budget.toFixed(2)} monthly budget is used (estimated).`);
+		}
+		return;
+	}
+	const choice = await vscode.window.showWarningMessage(
+		`VSWizard: the monthly budget of $${budget.toFixed(2)} is used up ($${spent.toFixed(2)} estimated this month). Send the request to ${model} anyway?`,
+		{ modal: true },
+		'Send Anyway'
+	);
+	if (choice !== 'Send Anyway') throw new Error('Request cancelled: monthly budget reached.');
+	budgetOverrideMonth = monthStart;
+}
+
+/**
+ * Add a request to the usage ledger and to the totals of the current session. Earlier months
+ * are rolled into daily totals as the ledger is saved.
+ * @param {vscode.Memento} workspaceState
+ * @param {Omit<UsageRecord, 'time' | 'sessionId'>} entry
+ * @returns {UsageRecord}
+ */
+function recordUsage(workspaceState, entry) {
+	const sessionId = workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+	/** @type {UsageRecord} */
+	const record = { time: Date.now(), sessionId, ...entry };
+	if (usageState) {
+		const monthStart = getMonthStart();
+		let ledger = [...getUsageLedger(), record];
+		if (ledger.some(r => r.time < monthStart && !r.requests)) ledger = rollUpUsage(ledger, monthStart);
+		if (ledger.length > USAGE_LEDGER_LIMIT) ledger = rollUpUsage(ledger, getDayStart(record.time));
+		usageState.update(VSWIZARD_USAGE, ledger.slice(-USAGE_LEDGER_LIMIT)).then(undefined, err => {
+			console.error('Failed to save the usage ledger:', err);
+		});
+	}
+	if (sessionId) {
+		updateSession(workspaceState, sessionId, s => {
+			const totals = s.usage || { requests: 0, promptTokens: 0, completionTokens: 0 };
+			s.usage = {
+				requests: totals.requests + 1,
+				promptTokens: totals.promptTokens + record.promptTokens,
+				completionTokens: totals.completionTokens + record.completionTokens
+			};
+		});
+	}
+	if (usageDashboard) usageDashboard.update();
+	return record;
+}
+
+/**
+ * Send a request to a provider and record its usage. Every request goes through here so the
+ * ledger and the budget check see all of them. Without reported usage the tokens are estimated.
+ * Reasoning, whether the provider reports it separately or the model writes it as <think> tags,
+ * is passed to onReasoning and returned as `reasoning`, never as part of `content`.
+ * @param {LLMProvider} provider
+ * @param {vscode.Memento} workspaceState
+ * @param {ChatMessage[]} messages
+ * @param {StreamChatOptions} options
+ * @param {string} purpose e.g. "chat", "agent", "commit"
+ * @returns {Promise<{content: string, toolCalls: Array<{ id: string, name: string, args: any }>, reasoning: string, reasoningMs?: number, usage: UsageRecord}>}
+ */
+async function requestChat(provider, workspaceState, messages, options, purpose) {
+	const model = options.model || provider.getModelName(workspaceState);
+	await checkUsageBudget(provider, model);
+	const started = Date.now();
+	// Reasoning time runs from the first reasoning text to the first answer text
+	let reasoningStarted = 0;
+	let reasoningMs;
+	const onReasoning = delta => {
+		if (!reasoningStarted) reasoningStarted = Date.now();
+		if (options.onReasoning) options.onReasoning(delta);
+	};
+	const onContent = delta => {
+		if (reasoningStarted && reasoningMs === undefined) reasoningMs = Date.now() - reasoningStarted;
+		if (options.onDelta) options.onDelta(delta);
+	};
+	const splitter = createThinkTagSplitter(onContent, onReasoning);
+	const result = await provider.streamChat(workspaceState, messages, { ...options, onDelta: delta => splitter.push(delta), onReasoning });
+	splitter.flush();
+	if (reasoningStarted && reasoningMs === undefined) reasoningMs = Date.now() - reasoningStarted;
+	const usage = result.usage || {
+		promptTokens: countTokens(messages.map(m => m.content || '').join('\n')),
+		completionTokens: countTokens(result.content),
+		estimated: true
+	};
+	const record = recordUsage(workspaceState, { provider: provider.id, model, purpose, durationMs: Date.now() - started, ...usage });
+	return {
+		...result,
+		content: splitter.content,
+		reasoning: (result.reasoning || '') + splitter.reasoning,
+		reasoningMs,
+		usage: record
+	};
+}
+
+// Usage stored with a reply in the chat history
+function messageUsage(record) {
+	return {
+		model: record.model,
+		promptTokens: record.promptTokens,
+		completionTokens: record.completionTokens,
+		durationMs: record.durationMs,
+		estimated: record.estimated || undefined
+	};
+}
+
+/**
+ * Totals of the usage ledger for the dashboard: this month, the last 30 days, models and sessions.
+ * Sessions of other workspaces are grouped together.
+ * @param {vscode.Memento} workspaceState
+ */
+function buildUsageReport(workspaceState) {
+	const ledger = getUsageLedger();
+	const sessions = new Map(getSessions(workspaceState).map(s => [s.id, s.name]));
+	const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, durationMs: 0, generationMs: 0, estimated: 0 });
+	const add = (totals, r) => {
+		totals.requests += r.requests || 1;
+		totals.promptTokens += r.promptTokens;
+		totals.completionTokens += r.completionTokens;
+		totals.cost += getUsageCost(r);
+		totals.durationMs += r.durationMs;
+		totals.generationMs += r.evalDurationMs || r.durationMs;
+		totals.estimated += r.requests ? (r.estimatedRequests || 0) : (r.estimated ? 1 : 0);
+	};
+	const group = (records, keyOf) => {
+		const groups = new Map();
+		for (const r of records) {
+			const key = keyOf(r);
+			if (!groups.has(key)) groups.set(key, emptyTotals());
+			add(groups.get(key), r);
+		}
+		return Array.from(groups, ([key, totals]) => ({ key, ...totals }));
+	};
+
+	const monthStart = getMonthStart();
+	const month = emptyTotals();
+	ledger.filter(r => r.time >= monthStart).forEach(r => add(month, r));
+	const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+	// Local days, like the daily totals of earlier months
+	const dayKey = r => {
+		const date = new Date(r.time);
+		return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+	};
+
+	return {
+		budget: vscode.workspace.getConfiguration().get('vswizard.usage.monthlyBudget') || 0,
+		month,
+		byDay: group(ledger.filter(r => r.time >= since), dayKey).sort((a, b) => b.key.localeCompare(a.key)),
+		byModel: group(ledger, r => `${r.model} (${providerRegistry.get(r.provider)?.label || r.provider})`).sort((a, b) => b.cost - a.cost || b.requests - a.requests),
+		bySession: group(ledger.filter(r => r.sessionId), r => sessions.get(r.sessionId) || '(other workspace or deleted session)').sort((a, b) => b.cost - a.cost || b.requests - a.requests)
+	};
+}
+
+// The usage dashboard panel; one per window
+class UsageDashboard {
+	/**
+	 * @param {vscode.ExtensionContext} context
+	 */
+	constructor(context) {
+		this._context = context;
+		this._panel = null;
+	}
+
+	show() {
+		if (this._panel) {
+			this._panel.reveal();
+			this.update();
+			return;
+		}
+		const mediaUri = vscode.Uri.joinPath(this._context.extensionUri, 'media');
+		this._panel = vscode.window.createWebviewPanel('vswizard-usage', 'VSWizard Usage', vscode.ViewColumn.Active, {
+			enableScripts: true,
+			localResourceRoots: [mediaUri]
+		});
+		this._panel.webview.html = getWebviewHtml(this._panel.webview, mediaUri, 'usage.html');
+		this._panel.webview.onDidReceiveMessage(message => {
+			if (message.command === 'ready' || message.command === 'refresh') this.update();
+		});
+		this._panel.onDidDispose(() => { this._panel = null; });
+	}
+
+	update() {
+		if (!this._panel) return;
+		this._panel.webview.postMessage({ command: 'setUsage', report: buildUsageReport(this._context.workspaceState) });
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Agent mode: the model can call workspace tools in a loop before answering
+// ---------------------------------------------------------------------------
+
+// Tool schemas in the OpenAI function-calling format (Ollama /api/chat accepts the same shape)
+const AGENT_TOOLS = [
+	{
+		type: 'function',
+		function: {
+			name: 'read_file',
+			description: 'Read a text file from the workspace. Optionally limit to a 1-based inclusive line range.',
+			parameters: {
+				type: 'object',
+				properties: {
+					path: { type: 'string', description: 'File path relative to the workspace root' },
+					start_line: { type: 'number', description: 'First line to read (1-based)' },
+					end_line: { type: 'number', description: 'Last line to read (inclusive)' }
+				},
+				required: ['path']
+			}
+		}
+	},
+	{
+		type: 'function',
+		function: {
+			name: 'list_dir',
+			description: 'List the entries of a workspace directory. Directories end with "/".',
+			parameters: {
+				type: 'object',
+				properties: {
+					path: { type: 'string', description: 'Directory path relative to the workspace root ("." for the root)' }
+				},
+				required: ['path']
+			}
+		}
+	},
+	{
+		type: 'function',
+		function: {
+			name: 'grep_workspace',
+			description: 'Search workspace files for a regular expression and return matching lines with file and line number.',
+			parameters: {
+				type: 'object',
+				properties: {
+					pattern: { type: 'string', description: 'JavaScript regular expression to search for' },
+					include: { type: 'string', description: 'Optional glob of files to search, e.g. "**/*.js"' }
+				},
+				required: ['pattern']
+			}
+		}
+	},
+	{
+		type: 'function',
+		function: {
+			name: 'propose_edit',
+			description: 'Propose an edit to a workspace file. Replaces old_text with new_text (or creates the file when old_text is empty). The user reviews a diff and decides whether it is applied.',
+			parameters: {
+				type: 'object',
+				properties: {
+					path: { type: 'string', description: 'File path relative to the workspace root' },
+					old_text: { type: 'string', description: 'Exact existing text to replace; empty to create a new file or replace the whole file' },
+					new_text: { type: 'string', description: 'Replacement text' }
+				},
+				required: ['path', 'new_text']
+			}
+		}
+	}
+];
+
+const AGENT_SYSTEM_PROMPT = 'You are VSWizard, a coding assistant working inside the user\'s VS Code workspace. ' +
+	'Use the provided tools to look at files before answering questions about them. ' +
+	'To change code, call propose_edit; the user will review every edit. Paths are relative to the workspace root.';
+
+// Limit of characters returned by a single tool call so small local models are not flooded
+const AGENT_TOOL_RESULT_LIMIT = 12000;
+
+function truncateToolResult(text) {
+	if (text.length <= AGENT_TOOL_RESULT_LIMIT) return text;
+	return text.slice(0, AGENT_TOOL_RESULT_LIMIT) + `\n... [truncated ${text.length - AGENT_TOOL_RESULT_LIMIT} characters]`;
+}
+
+/**
+ * Execute one agent tool call and return its textual result for the model.
+ * @param {string} name
+ * @param {any} args
+ * @returns {Promise<string>}
+ */
+async function executeAgentTool(name, args) {
+	args = args || {};
+	switch (name) {
+		case 'read_file': {
+			const uri = resolveWorkspacePath(args.path);
+			const document = await vscode.workspace.openTextDocument(uri);
+			const lines = document.getText().split(/\r?\n/);
+			const start = Math.max(1, Number(args.start_line) || 1);
+			const end = Math.min(lines.length, Number(args.end_line) || lines.length);
+			const numbered = lines.slice(start - 1, end).map((line, i) => `${start + i}: ${line}`);
+			return truncateToolResult(`${workspaceRelativePath(uri)} (lines ${start}-${end} of ${lines.length})\n${numbered.join('\n')}`);
+		}
+		case 'list_dir': {
+			const uri = resolveWorkspacePath(args.path);
+			const entries = await vscode.workspace.fs.readDirectory(uri);
+			entries.sort((a, b) => a[0].localeCompare(b[0]));
+			const listing = entries.map(([entryName, type]) => (type & vscode.FileType.Directory) ? `${entryName}/` : entryName);
+			return truncateToolResult(listing.join('\n') || '[empty directory]');
+		}
+		case 'grep_workspace': {
+			let regex;
+			try {
+				regex = new RegExp(String(args.pattern));
+			} catch (err) {
+				return `Invalid regular expression: ${err.message}`;
+			}
+			const files = await vscode.workspace.findFiles(args.include || '**/*', '**/{node_modules,.git,dist,out}/**', 500);
+			const matches = [];
+			for (const file of files) {
+				if (matches.length >= 200) break;
+				let text;
+				try {
+					text = new TextDecoder().decode(await vscode.workspace.fs.readFile(file));
+				} catch {
+					continue;
+				}
+				if (text.includes('\u0000')) continue; // skip binary files
+				const lines = text.split(/\r?\n/);
+				for (let i = 0; i < lines.length && matches.length < 200; i++) {
+					if (regex.test(lines[i])) {
+						matches.push(`${workspaceRelativePath(file)}:${i + 1}: ${lines[i].trim()}`);
+					}
+				}
+			}
+			return truncateToolResult(matches.join('\n') || 'No matches found.');
+		}
+		case 'propose_edit': {
+			const uri = resolveWorkspacePath(args.path);
+			const newText = typeof args.new_text === 'string' ? args.new_text : '';
+			const oldText = typeof args.old_text === 'string' ? args.old_text : '';
+			let newContent = newText;
+			if (oldText) {
+				const document = await vscode.workspace.openTextDocument(uri);
+				const current = document.getText();
+				const index = current.indexOf(oldText);
+				if (index === -1) {
+					return `Edit not applied: old_text was not found in ${workspaceRelativePath(uri)}. Read the file again and retry with the exact text.`;
+				}
+				newContent = current.slice(0, index) + newText + current.slice(index + oldText.length);
+			}
+			const applied = await previewAndApplyEdit(uri, newContent, 'VSWizard proposed edit');
+			return applied
+				? `Edit applied to ${workspaceRelativePath(uri)}.`
+				: `The user rejected the edit to ${workspaceRelativePath(uri)}.`;
+		}
+		default:
+			return `Unknown tool: ${name}`;
+	}
+}
+
+// Short human readable summary of a tool call for the transcript
+function describeToolCall(name, args) {
+	args = args || {};
+	switch (name) {
+		case 'read_file':
+			return args.start_line ? `${args.path}:${args.start_line}-${args.end_line || ''}` : String(args.path);
+		case 'list_dir':
+			return String(args.path || '.');
+		case 'grep_workspace':
+			return `/${args.pattern}/` + (args.include ? ` in ${args.include}` : '');
+		case 'propose_edit':
+			return String(args.path);
+		default:
+			return JSON.stringify(args);
+	}
+}
+
+/**
+ * Agent-mode chat: let the model call workspace tools for a bounded number of rounds.
+ * Tool calls and results are shown in the transcript and stored as 'tool' history entries.
+ * @param {ChatViewProvider} providerInstance
+ * @param {string} [model] model to use instead of the selected one
+ * @returns {Promise<boolean>} true when the loop ended with a stored answer or the user stopped it mid-answer
+ */
+async function handleAgentChat(providerInstance, model = undefined) {
+	const workspaceState = providerInstance._workspaceState;
+	const webviewView = providerInstance._webviewView;
+	const abortSignal = providerInstance._abortController ? providerInstance._abortController.signal : null;
+	const chatHistory = providerInstance._chatHistory || [];
+	const maxRounds = vscode.workspace.getConfiguration().get('vswizard.agent.maxToolRounds') || 8;
+	const post = msg => webviewView && webviewView.webview.postMessage(msg);
+	const provider = getActiveProvider(workspaceState);
+
+	if (!provider.getCapabilities(workspaceState).tools) {
+		post({ command: 'addMessage', text: `Error: ${provider.label} does not support tool calls. Turn off agent mode or select another provider.`, sender: 'bot' });
+		return false;
+	}
+
+	const systemPrompt = buildSystemPrompt(workspaceState, provider.id, AGENT_SYSTEM_PROMPT);
+	const overflow = await applyContextBudget(providerInstance, provider.id, countTokens(systemPrompt) + countTokens(JSON.stringify(AGENT_TOOLS)), { model });
+	if (overflow) {
+		post({ command: 'addMessage', text: `Error: ${overflow}`, sender: 'bot' });
+		post({ command: 'resetSendButton' });
+		return false;
+	}
+
+	/** @type {ChatMessage[]} */
+	const messages = [{ role: 'system', content: systemPrompt }, ...historyToMessages(chatHistory, model || provider.getModelName(workspaceState))];
+
+	let finalAnswer = '';
+	let finalUsage;
+	let finalReasoning;
+	let partial = ''; // text streamed in the current round, kept if the round does not finish
+	let partialReasoning = '';
+	try {
+		for (let round = 0; round <= maxRounds; round++) {
+			partial = '';
+			partialReasoning = '';
+			const turn = await requestChat(provider, workspaceState, messages, {
+				signal: abortSignal,
+				model,
+				tools: AGENT_TOOLS,
+				think: shouldRequestReasoning(),
+				onReasoning: delta => {
+					partialReasoning += delta;
+					post({ command: 'addReasoningChunk', text: delta });
+				},
+				onDelta: delta => {
+					partial += delta;
+					post({ command: 'addChunk', text: delta, sender: 'bot' });
+				}
+			}, 'agent');
+			partial = '';
+			partialReasoning = '';
+			finalAnswer = turn.content;
+			finalUsage = turn.usage;
+			finalReasoning = messageReasoning(turn);
+			if (!turn.toolCalls.length) break;
+
+			if (round === maxRounds) {
+				finalAnswer += `\n\n[Stopped after ${maxRounds} tool-call rounds]`;
+				post({ command: 'addChunk', text: `\n\n[Stopped after ${maxRounds} tool-call rounds]`, sender: 'bot' });
+				break;
+			}
+
+			if (turn.content) {
+				chatHistory.push({ text: turn.content, sender: 'bot', reasoning: finalReasoning });
+			}
+			messages.push({ role: 'assistant', content: turn.content, tool_calls: turn.toolCalls });
+
+			for (const call of turn.toolCalls) {
+				let result;
+				try {
+					result = await executeAgentTool(call.name, call.args);
+				} catch (err) {
+					result = `Error: ${err.message}`;
+				}
+				const summary = `🔧 ${call.name}(${describeToolCall(call.name, call.args)})`;
+				const transcript = `${summary}\n\n\`\`\`\n${result.replace(/```/g, '``\\`')}\n\`\`\``;
+				chatHistory.push({ text: transcript, sender: 'tool' });
+				post({ command: 'addToolCall', text: transcript });
+				messages.push({ role: 'tool', tool_call_id: call.id, tool_name: call.name, content: result });
+			}
+		}
+
+		post({ command: 'streamDone', sender: 'bot' });
+		if (finalAnswer) {
+			chatHistory.push({ text: finalAnswer, sender: 'bot', reasoning: finalReasoning, usage: finalUsage && messageUsage(finalUsage) });
+		}
+		providerInstance._chatHistory = chatHistory;
+		persistChatHistory(workspaceState, chatHistory);
+		if (finalAnswer) titleCurrentSession(workspaceState);
+		return !!finalAnswer;
+	} catch (error) {
+		const stopped = error.name === 'AbortError';
+		if (partial) chatHistory.push({ text: partial, sender: 'bot', reasoning: messageReasoning({ reasoning: partialReasoning }), truncated: stopped ? 'stopped' : 'error' });
+		providerInstance._chatHistory = chatHistory;
+		persistChatHistory(workspaceState, chatHistory);
+		if (stopped) {
+			post({ command: 'streamDone', sender: 'bot' });
+			return !!partial && !isSuperseded(providerInstance, abortSignal);
+		}
+		if (partial) refreshHistoryView(providerInstance);
+		post({ command: 'addMessage', text: `Error: ${error.message}`, sender: 'bot' });
+		post({ command: 'resetSendButton' });
+		return false;
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Workspace retrieval index: chunked source files embedded with Ollama
+// ---------------------------------------------------------------------------
+
+const INDEX_FILE_NAME = 'workspace-index.json';
+const INDEX_CHUNK_LINES = 60;
+const INDEX_CHUNK_OVERLAP = 10;
+const INDEX_MAX_FILE_BYTES = 200 * 1024;
+const INDEX_EXCLUDE_GLOB = '**/{node_modules,.git,dist,out,build,.vscode-test}/**';
+
+/**
+ * Embed a batch of texts with Ollama. Uses /api/embed and falls back to the older
+ * single-prompt /api/embeddings endpoint for Ollama versions that lack it.
+ * @param {string} ollamaUrl
+ * @param {string} model
+ * @param {string[]} inputs
+ * @returns {Promise<number[][]>}
+ */
+async function embedTexts(ollamaUrl, model, inputs) {
+	const response = await fetch(`${ollamaUrl}/api/embed`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ model, input: inputs })
+	});
+	if (response.ok) {
+		const data = /** @type {any} */ (await response.json());
+		if (Array.isArray(data.embeddings)) return data.embeddings;
+	} else if (response.status !== 404) {
+		throw new Error(`Embedding request failed: HTTP ${response.status}`);
+	}
+
+	const vectors = [];
+	for (const prompt of inputs) {
+		const legacy = await fetch(`${ollamaUrl}/api/embeddings`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ model, prompt })
+		});
+		if (!legacy.ok) throw new Error(`Embedding request failed: HTTP ${legacy.status}`);
+		const data = /** @type {any} */ (await legacy.json());
+		vectors.push(data.embedding || []);
+	}
+	return vectors;
+}
+
+function cosineSimilarity(a, b) {
+	let dot = 0, normA = 0, normB = 0;
+	const len = Math.min(a.length, b.length);
+	for (let i = 0; i < len; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Split file text into overlapping line windows; line numbers are 1-based and inclusive
+function chunkFileText(text) {
+	const lines = text.split(/\r?\n/);
+	const chunks = [];
+	for (let start = 0; start < lines.length; start += INDEX_CHUNK_LINES - INDEX_CHUNK_OVERLAP) {
+		const end = Math.min(lines.length, start + INDEX_CHUNK_LINES);
+		const chunkText = lines.slice(start, end).join('\n');
+		if (chunkText.trim()) {
+			chunks.push({ startLine: start + 1, endLine: end, text: chunkText });
+		}
+		if (end === lines.length) break;
+	}
+	return chunks;
+}
+
+class WorkspaceIndex {
+	/**
+	 * @param {vscode.ExtensionContext} context
+	 */
+	constructor(context) {
+		const storageRoot = context.storageUri || context.globalStorageUri;
+		this._indexUri = vscode.Uri.joinPath(storageRoot, INDEX_FILE_NAME);
+		this._storageRoot = storageRoot;
+		// { model: string, files: { [relPath]: { mtime: number, chunks: Array<{startLine, endLine, text, vector}> } } }
+		this._data = { model: '', files: {} };
+		this._loaded = false;
+		this._pending = new Map(); // relPath -> timeout handle for debounced re-indexing
+		this._saveTimer = null;
+		this._building = null;
+	}
+
+	get _ollamaUrl() {
+		return getOllamaUrl();
+	}
+
+	get _model() {
+		return vscode.workspace.getConfiguration().get('vswizard.index.embeddingModel') || 'nomic-embed-text';
+	}
+
+	get _includeGlob() {
+		return vscode.workspace.getConfiguration().get('vswizard.index.include') || '**/*.{js,jsx,ts,tsx,py,java,go,rs,c,cpp,h,hpp,cs,rb,php,swift,kt,md}';
+	}
+
+	async load() {
+		if (this._loaded) return;
+		this._loaded = true;
+		try {
+			const raw = await vscode.workspace.fs.readFile(this._indexUri);
+			const parsed = JSON.parse(new TextDecoder().decode(raw));
+			if (parsed && parsed.files) this._data = parsed;
+		} catch {
+			// No index yet
+		}
+		// Vectors from another embedding model are not comparable; start over
+		if (this._data.model && this._data.model !== this._model) {
+			this._data = { model: '', files: {} };
+		}
+	}
+
+	get isEmpty() {
+		return Object.keys(this._data.files).length === 0;
+	}
+
+	_scheduleSave() {
+		clearTimeout(this._saveTimer);
+		this._saveTimer = setTimeout(() => {
+			this._save().catch(err => console.error('Failed to save workspace index:', err));
+		}, 2000);
+	}
+
+	async _save() {
+		this._data.model = this._model;
+		await vscode.workspace.fs.createDirectory(this._storageRoot);
+		await vscode.workspace.fs.writeFile(this._indexUri, new TextEncoder().encode(JSON.stringify(this._data)));
+	}
+
+	/**
+	 * (Re)index one file if it changed since it was last embedded.
+	 * @param {vscode.Uri} uri
+	 * @param {boolean} force
+	 */
+	async indexFile(uri, force = false) {
+		const relPath = workspaceRelativePath(uri);
+		let stat;
+		try {
+			stat = await vscode.workspace.fs.stat(uri);
+		} catch {
+			this.removeFile(uri);
+			return;
+		}
+		if (stat.size > INDEX_MAX_FILE_BYTES) return;
+		const existing = this._data.files[relPath];
+		if (!force && existing && existing.mtime === stat.mtime) return;
+
+		const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+		if (text.includes('\u0000')) return; // binary
+		const chunks = chunkFileText(text);
+		const vectors = chunks.length
+			? await embedTexts(this._ollamaUrl, this._model, chunks.map(c => `${relPath}\n${c.text}`))
+			: [];
+		this._data.files[relPath] = {
+			mtime: stat.mtime,
+			chunks: chunks.map((c, i) => ({ ...c, vector: vectors[i] || [] }))
+		};
+		this._scheduleSave();
+	}
+
+	removeFile(uri) {
+		const relPath = workspaceRelativePath(uri);
+		if (this._data.files[relPath]) {
+			delete this._data.files[relPath];
+			this._scheduleSave();
+		}
+	}
+
+	/**
+	 * Debounced re-index used by the file watcher so rapid saves only embed once.
+	 * @param {vscode.Uri} uri
+	 */
+	queueFile(uri) {
+		const relPath = workspaceRelativePath(uri);
+		clearTimeout(this._pending.get(relPath));
+		this._pending.set(relPath, setTimeout(() => {
+			this._pending.delete(relPath);
+			this.load()
+				.then(() => this.indexFile(uri))
+				.catch(err => console.error(`Failed to index ${relPath}:`, err));
+		}, 1500));
+	}
+
+	/**
+	 * Index every matching workspace file, reporting progress in a notification.
+	 * @param {boolean} force re-embed files even when unchanged
+	 */
+	async build(force = false) {
+		if (this._building) return this._building;
+		this._building = vscode.window.withProgress({
+			location: vscode.ProgressLocation.Notification,
+			title: 'VSWizard: indexing workspace',
+			cancellable: true
+		}, async (progress, token) => {
+			await this.load();
+			if (force) this._data = { model: '', files: {} };
+			const files = await vscode.workspace.findFiles(this._includeGlob, INDEX_EXCLUDE_GLOB, 5000);
+			const seen = new Set(files.map(uri => workspaceRelativePath(uri)));
+			for (const relPath of Object.keys(this._data.files)) {
+				if (!seen.has(relPath)) delete this._data.files[relPath];
+			}
+			for (let i = 0; i < files.length; i++) {
+				if (token.isCancellationRequested) break;
+				progress.report({ message: `${i + 1}/${files.length} ${workspaceRelativePath(files[i])}`, increment: 100 / files.length });
+				await this.indexFile(files[i], force);
+			}
+			await this._save();
+		}).then(() => {
+			this._building = null;
+		}, err => {
+			this._building = null;
+			throw err;
+		});
+		return this._building;
+	}
+
+	/**
+	 * Return the top-k chunks most similar to the query.
+	 * @param {string} query
+	 * @param {number} topK
+	 * @returns {Promise<Array<{ path: string, startLine: number, endLine: number, text: string, score: number }>>}
+	 */
+	async search(query, topK) {
+		await this.load();
+		if (this.isEmpty) await this.build();
+		const [queryVector] = await embedTexts(this._ollamaUrl, this._model, [query]);
+		const scored = [];
+		for (const [relPath, file] of Object.entries(this._data.files)) {
+			for (const chunk of file.chunks) {
+				scored.push({
+					path: relPath,
+					startLine: chunk.startLine,
+					endLine: chunk.endLine,
+					text: chunk.text,
+					score: cosineSimilarity(queryVector || [], chunk.vector)
+				});
+			}
+		}
+		scored.sort((a, b) => b.score - a.score);
+		return scored.slice(0, topK);
+	}
+
+	/**
+	 * Watch the workspace so the index follows file edits, creations and deletions.
+	 * @returns {vscode.Disposable}
+	 */
+	watch() {
+		const watcher = vscode.workspace.createFileSystemWatcher(this._includeGlob);
+		const isExcluded = uri => /[\\/](node_modules|\.git|dist|out|build|\.vscode-test)[\\/]/.test(uri.fsPath);
+		const onChange = uri => {
+			// Only keep an index up to date once the user has built one
+			if (!isExcluded(uri) && !this.isEmpty) this.queueFile(uri);
+		};
+		watcher.onDidChange(onChange);
+		watcher.onDidCreate(onChange);
+		watcher.onDidDelete(uri => this.removeFile(uri));
+		return watcher;
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Inline completions: fill-in-the-middle ghost text from a local Ollama model
+// ---------------------------------------------------------------------------
+
+const COMPLETION_CACHE_SIZE = 50;
+const COMPLETION_PREFIX_CHARS = 3000;
+const COMPLETION_SUFFIX_CHARS = 1000;
+
+function getCompletionConfig() {
+	const config = vscode.workspace.getConfiguration('vswizard.completion');
+	return {
+		enabled: config.get('enabled', false),
+		model: config.get('model', 'qwen2.5-coder:1.5b'),
+		debounceMs: config.get('debounceMs', 300),
+		maxTokens: config.get('maxTokens', 128),
+		languages: config.get('languages', {})
+	};
+}
+
+function isCompletionLanguageEnabled(languages, languageId) {
+	if (typeof languages[languageId] === 'boolean') return languages[languageId];
+	return languages['*'] !== false;
+}
+
+class OllamaInlineCompletionProvider {
+	constructor() {
+		this._cache = new Map(); // LRU: insertion order, most recent last
+		this._abortController = null;
+		this._requestId = 0;
+	}
+
+	_cacheGet(key) {
+		if (!this._cache.has(key)) return undefined;
+		const value = this._cache.get(key);
+		this._cache.delete(key);
+		this._cache.set(key, value);
+		return value;
+	}
+
+	_cacheSet(key, value) {
+		this._cache.delete(key);
+		this._cache.set(key, value);
+		if (this._cache.size > COMPLETION_CACHE_SIZE) {
+			this._cache.delete(this._cache.keys().next().value);
+		}
+	}
+
+	/**
+	 * @param {vscode.TextDocument} document
+	 * @param {vscode.Position} position
+	 * @param {vscode.InlineCompletionContext} _context
+	 * @param {vscode.CancellationToken} token
+	 */
+	async provideInlineCompletionItems(document, position, _context, token) {
+		const config = getCompletionConfig();
+		if (!config.enabled || !isCompletionLanguageEnabled(config.languages, document.languageId)) return [];
+
+		const offset = document.offsetAt(position);
+		const text = document.getText();
+		const prefix = text.slice(Math.max(0, offset - COMPLETION_PREFIX_CHARS), offset);
+		const suffix = text.slice(offset, offset + COMPLETION_SUFFIX_CHARS);
+		if (!prefix.trim()) return [];
+
+		const cacheKey = `${config.model}\u0000${document.languageId}\u0000${prefix.slice(-500)}\u0000${suffix.slice(0, 200)}`;
+		let completion = this._cacheGet(cacheKey);
+
+		if (completion === undefined) {
+			// Debounce: only the latest keystroke's request survives the wait
+			const requestId = ++this._requestId;
+			await new Promise(resolve => setTimeout(resolve, config.debounceMs));
+			if (token.isCancellationRequested || requestId !== this._requestId) return [];
+
+			// Cancel any in-flight request for an older position
+			if (this._abortController) this._abortController.abort();
+			const abortController = new AbortController();
+			this._abortController = abortController;
+			const cancelListener = token.onCancellationRequested(() => abortController.abort());
+
+			try {
+				completion = await this._requestCompletion(config, document.languageId, prefix, suffix, abortController.signal);
+			} catch (err) {
+				if (err.name !== 'AbortError') console.error('VSWizard inline completion failed:', err.message);
+				return [];
+			} finally {
+				cancelListener.dispose();
+				if (this._abortController === abortController) this._abortController = null;
+			}
+			this._cacheSet(cacheKey, completion);
+		}
+
+		if (!completion || token.isCancellationRequested) return [];
+		return [new vscode.InlineCompletionItem(completion, new vscode.Range(position, position))];
+	}
+
+	async _requestCompletion(config, languageId, prefix, suffix, signal) {
+		const ollamaUrl = getOllamaUrl();
+		const response = await fetch(`${ollamaUrl}/api/generate`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				model: config.model,
+				prompt: prefix,
+				suffix,
+				system: `You complete ${languageId} code. Output only the code that belongs at the cursor.`,
+				stream: false,
+				options: { num_predict: config.maxTokens, temperature: 0.2, stop: ['\n\n\n'] }
+			}),
+			signal
+		});
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+		const data = /** @type {any} */ (await response.json());
+		let completion = typeof data.response === 'string' ? data.response : '';
+		// Models sometimes wrap output in a fence; keep only the code
+		completion = completion.replace(/^```[\w-]*\n/, '').replace(/\n```\s*$/, '');
+		// Avoid repeating text that already follows the cursor
+		const firstSuffixLine = suffix.split('\n')[0].trim();
+		if (firstSuffixLine && completion.trimEnd().endsWith(firstSuffixLine)) {
+			completion = completion.trimEnd().slice(0, -firstSuffixLine.length);
+		}
+		return completion.trimEnd() ? completion : '';
+	}
+}
+
+function updateCompletionStatusBar(statusBarItem) {
+	const { enabled, model } = getCompletionConfig();
+	statusBarItem.text = enabled ? '$(sparkle) Wzd' : '$(circle-slash) Wzd';
+	statusBarItem.tooltip = enabled
+		? `VSWizard inline completions on (${model}). Click to turn off.`
+		: 'VSWizard inline completions off. Click to turn on.';
+}
+
+// ---------------------------------------------------------------------------
+// Session manager: tree view of chat sessions grouped by date, with full-text search
+// ---------------------------------------------------------------------------
+
+// Date groups in display order; pinned sessions are listed first regardless of age
+const SESSION_GROUPS = ['Pinned', 'Today', 'Yesterday', 'Previous 7 Days', 'Previous 30 Days', 'Older'];
+
+// Last activity of a session; sessions saved by older versions only have the timestamp in their id
+function getSessionTimestamp(session) {
+	if (session.updatedAt) return session.updatedAt;
+	const match = /^session-(\d+)/.exec(session.id || '');
+	return match ? Number(match[1]) : 0;
+}
+
+function getSessionGroup(session) {
+	if (session.pinned) return 'Pinned';
+	const day = 24 * 60 * 60 * 1000;
+	const startOfToday = new Date().setHours(0, 0, 0, 0);
+	const timestamp = getSessionTimestamp(session);
+	if (timestamp >= startOfToday) return 'Today';
+	if (timestamp >= startOfToday - day) return 'Yesterday';
+	if (timestamp >= startOfToday - 7 * day) return 'Previous 7 Days';
+	if (timestamp >= startOfToday - 30 * day) return 'Previous 30 Days';
+	return 'Older';
+}
+
+class SessionTreeProvider {
+	/**
+	 * @param {vscode.Memento} workspaceState
+	 */
+	constructor(workspaceState) {
+		this._workspaceState = workspaceState;
+		this._onDidChangeTreeData = new vscode.EventEmitter();
+		this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+	}
+
+	refresh() {
+		this._onDidChangeTreeData.fire(undefined);
+	}
+
+	getChildren(element) {
+		if (element) {
+			return element.type === 'group' ? element.sessions.map(session => ({ type: 'session', session })) : [];
+		}
+		const groups = new Map();
+		const sessions = getSessions(this._workspaceState).slice().sort((a, b) => getSessionTimestamp(b) - getSessionTimestamp(a));
+		for (const session of sessions) {
+			const group = getSessionGroup(session);
+			if (!groups.has(group)) groups.set(group, []);
+			groups.get(group).push(session);
+		}
+		return SESSION_GROUPS.filter(g => groups.has(g)).map(g => ({ type: 'group', label: g, sessions: groups.get(g) }));
+	}
+
+	getTreeItem(element) {
+		if (element.type === 'group') {
+			const state = element.label === 'Older' ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.Expanded;
+			const groupItem = new vscode.TreeItem(element.label, state);
+			groupItem.id = `group:${element.label}`;
+			groupItem.contextValue = 'sessionGroup';
+			return groupItem;
+		}
+		const session = element.session;
+		const isCurrent = session.id === this._workspaceState.get(VSWIZARD_CURRENT_SESSION_ID, null);
+		const messageCount = (session.history || []).filter(m => m.sender === 'user' || m.sender === 'bot').length;
+		const item = new vscode.TreeItem(session.name, vscode.TreeItemCollapsibleState.None);
+		item.id = session.id;
+		item.description = `${messageCount} message${messageCount === 1 ? '' : 's'}${isCurrent ? ' · current' : ''}`;
+		item.tooltip = `${session.name}\nLast active: ${new Date(getSessionTimestamp(session)).toLocaleString()}`;
+		item.iconPath = new vscode.ThemeIcon(session.pinned ? 'pinned' : isCurrent ? 'comment-discussion' : 'comment');
+		item.contextValue = session.pinned ? 'pinnedSession' : 'session';
+		item.command = { command: 'vswizard.openSession', title: 'Open Session', arguments: [session.id] };
+		return item;
+	}
+}
+
+/**
+ * Add a session and make it current. Beyond vswizard.sessions.maxSessions the least recently
+ * used unpinned sessions are dropped.
+ * @param {vscode.Memento} workspaceState
+ * @param {Array<{text: string, sender: string}>} history
+ * @param {string} [name]
+ */
+function createSession(workspaceState, history = [], name = DEFAULT_SESSION_NAME) {
+	const now = Date.now();
+	const session = { id: 'session-' + now, name, history, createdAt: now, updatedAt: now };
+	const sessions = getSessions(workspaceState);
+	sessions.push(session);
+
+	const maxSessions = vscode.workspace.getConfiguration().get('vswizard.sessions.maxSessions') || 200;
+	const removable = sessions
+		.filter(s => !s.pinned && s.id !== session.id)
+		.sort((a, b) => getSessionTimestamp(a) - getSessionTimestamp(b));
+	const excess = new Set(removable.slice(0, Math.max(0, sessions.length - maxSessions)).map(s => s.id));
+
+	saveSessions(workspaceState, sessions.filter(s => !excess.has(s.id)));
+	setCurrentSession(workspaceState, session.id);
+	return session;
+}
+
+/**
+ * Make a session current and show it in the chat view, optionally scrolled to one message.
+ * @param {vscode.Memento} workspaceState
+ * @param {string} sessionId
+ * @param {number} [messageIndex] index into the session history
+ */
+async function openSession(workspaceState, sessionId, messageIndex) {
+	const session = getSessions(workspaceState).find(s => s.id === sessionId);
+	if (!session) return;
+	setCurrentSession(workspaceState, session.id);
+	await workspaceState.update(OLLAMA_CHAT_HISTORY, session.history);
+	if (sessionTreeProvider) sessionTreeProvider.refresh();
+
+	const wasResolved = !!(chatViewProviderInstance && chatViewProviderInstance._webviewView);
+	await vscode.commands.executeCommand('vswizard-chat.focus');
+	if (!chatViewProviderInstance) return;
+	chatViewProviderInstance._chatHistory = session.history;
+	if (!wasResolved) {
+		// A freshly resolved view loads the current session itself; scroll once it asks for history
+		chatViewProviderInstance._pendingScrollIndex = messageIndex;
+		return;
+	}
+	const webviewView = chatViewProviderInstance._webviewView;
+	webviewView.webview.postMessage({ command: 'loadHistory', history: session.history });
+	webviewView.webview.postMessage({ command: 'resetInput' });
+	if (messageIndex !== undefined) webviewView.webview.postMessage({ command: 'scrollToMessage', index: messageIndex });
+	reportContextUsage(chatViewProviderInstance, getActiveProvider(workspaceState).id);
+}
+
+// Session targeted by a tree command: a tree node, a session id, or picked from a list
+async function resolveSessionArg(workspaceState, arg, placeHolder) {
+	if (typeof arg === 'string') return getSessions(workspaceState).find(s => s.id === arg);
+	if (arg && arg.session) return getSessions(workspaceState).find(s => s.id === arg.session.id);
+	const sessions = getSessions(workspaceState).slice().sort((a, b) => getSessionTimestamp(b) - getSessionTimestamp(a));
+	if (sessions.length === 0) {
+		vscode.window.showInformationMessage('No chat sessions found.');
+		return undefined;
+	}
+	const pick = await vscode.window.showQuickPick(
+		sessions.map(s => ({ label: s.name, description: new Date(getSessionTimestamp(s)).toLocaleString(), id: s.id })),
+		{ placeHolder }
+	);
+	return pick ? sessions.find(s => s.id === pick.id) : undefined;
+}
+
+// Apply a change to one stored session
+function updateSession(workspaceState, sessionId, change) {
+	const sessions = getSessions(workspaceState);
+	const session = sessions.find(s => s.id === sessionId);
+	if (!session) return;
+	change(session);
+	saveSessions(workspaceState, sessions);
+}
+
+// Short excerpt of text around a match, on one line
+function searchSnippet(text, matchIndex, queryLength) {
+	const start = Math.max(0, matchIndex - 40);
+	const end = Math.min(text.length, matchIndex + queryLength + 80);
+	return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+}
+
+/**
+ * Full-text search over every message of every session. Picking a result opens the session
+ * and scrolls the chat view to the message.
+ * @param {vscode.Memento} workspaceState
+ */
+function searchSessions(workspaceState) {
+	const maxResults = 200;
+	const quickPick = vscode.window.createQuickPick();
+	quickPick.placeholder = 'Search all chat sessions';
+	quickPick.matchOnDescription = true;
+	quickPick.matchOnDetail = true;
+
+	quickPick.onDidChangeValue(value => {
+		const query = value.trim().toLowerCase();
+		if (query.length < 2) {
+			quickPick.items = [];
+			return;
+		}
+		const items = [];
+		const sessions = getSessions(workspaceState).slice().sort((a, b) => getSessionTimestamp(b) - getSessionTimestamp(a));
+		for (const session of sessions) {
+			(session.history || []).forEach((entry, index) => {
+				if (items.length >= maxResults) return;
+				const matchIndex = String(entry.text || '').toLowerCase().indexOf(query);
+				if (matchIndex === -1) return;
+				items.push({
+					label: session.name,
+					description: entry.sender === 'user' ? 'You' : entry.sender,
+					detail: searchSnippet(entry.text, matchIndex, query.length),
+					// Results are already filtered; keep them visible whatever the fuzzy matcher thinks
+					alwaysShow: true,
+					sessionId: session.id,
+					index
+				});
+			});
+		}
+		quickPick.items = items;
+	});
+	quickPick.onDidAccept(async () => {
+		const selected = /** @type {any} */ (quickPick.selectedItems[0]);
+		quickPick.hide();
+		if (selected) await openSession(workspaceState, selected.sessionId, selected.index);
+	});
+	quickPick.onDidHide(() => quickPick.dispose());
+	quickPick.show();
+}
+
+// Sessions currently waiting for a generated title
+const sessionsBeingTitled = new Set();
+
+/**
+ * Give the current session a generated title once it has its first exchange.
+ * Sessions renamed by the user (or already titled) are left alone.
+ * @param {vscode.Memento} workspaceState
+ */
+async function titleCurrentSession(workspaceState) {
+	const session = getCurrentSession(workspaceState);
+	if (!session || session.titled || session.name !== DEFAULT_SESSION_NAME || sessionsBeingTitled.has(session.id)) return;
+	const turns = (session.history || []).filter(m => m.sender === 'user' || m.sender === 'bot');
+	const firstUser = turns.find(m => m.sender === 'user');
+	if (!firstUser || !turns.some(m => m.sender === 'bot')) return;
+
+	sessionsBeingTitled.add(session.id);
+	let name;
+	try {
+		name = await generateSessionName(workspaceState, turns.slice(0, 4));
+	} catch (error) {
+		console.error('Failed to generate session title:', error);
+		// Fall back to the start of the first question
+		name = firstUser.text.split('\n')[0].trim().slice(0, 30) || DEFAULT_SESSION_NAME;
+	} finally {
+		sessionsBeingTitled.delete(session.id);
+	}
+	updateSession(workspaceState, session.id, s => {
+		if (s.name !== DEFAULT_SESSION_NAME) return;
+		s.name = name;
+		s.titled = true;
+	});
 }
 
 async function listOllamaModels(ollamaUrl) {
@@ -850,5 +6260,23 @@ function deactivate() { }
 
 module.exports = {
 	activate,
-	deactivate
+	deactivate,
+	// Internal helpers, exported for the unit tests in test/
+	registerProvider,
+	countTokens,
+	historyToMessages,
+	applyContextBudget,
+	getOllamaContextSize,
+	forkHistory,
+	switchHistoryBranch,
+	parseDiff,
+	splitDiffHunks,
+	chunkDiff,
+	parseFrontMatter,
+	splitShellCommand,
+	checkCommandPolicy,
+	parseShellCommands,
+	createThinkTagSplitter,
+	splitThinkTags,
+	rollUpUsage
 }
@@ -3,7 +3,7 @@ const assert = require('assert');
 // You can import and use all API from the 'vscode' module
 // as well as import your extension to test it
 const vscode = require('vscode');
-// const myExtension = require('../extension');
+const myExtension = require('../extension');
 
 suite('Extension Test Suite', () => {
 	vscode.window.showInformationMessage('Start all tests.');
@@ -13,3 +13,395 @@ suite('Extension Test Suite', () => {
 		assert.strictEqual(-1, [1, 2, 3].indexOf(0));
 	});
 });
+
+// In-memory stand-in for ExtensionContext.workspaceState
+class MemoryMemento {
+	constructor() {
+		this._values = new Map();
+	}
+
+	keys() {
+		return Array.from(this._values.keys());
+	}
+
+	get(key, defaultValue) {
+		return this._values.has(key) ? this._values.get(key) : defaultValue;
+	}
+
+	update(key, value) {
+		this._values.set(key, value);
+		return Promise.resolve();
+	}
+}
+
+suite('Terminal command policy', () => {
+	const { splitShellCommand, checkCommandPolicy, parseShellCommands } = myExtension;
+
+	test('splits chained commands', () => {
+		assert.deepStrictEqual(splitShellCommand('cd x && sudo rm -rf /'), ['cd x', 'sudo rm -rf /']);
+		assert.deepStrictEqual(splitShellCommand('a; b | c || d & e'), ['a', 'b', 'c', 'd', 'e']);
+	});
+
+	test('splits subshells and command substitutions', () => {
+		assert.deepStrictEqual(splitShellCommand('(cd x; make)'), ['cd x', 'make']);
+		assert.deepStrictEqual(splitShellCommand('echo $(whoami) `id`'), ['whoami', 'id', 'echo']);
+		assert.deepStrictEqual(splitShellCommand('git log --format="$(date)"'), ['date', 'git log --format=""']);
+	});
+
+	test('keeps quoted operators, arithmetic and redirections', () => {
+		assert.deepStrictEqual(splitShellCommand('echo "a && b"'), ['echo "a && b"']);
+		assert.deepStrictEqual(splitShellCommand("echo 'a; b'"), ["echo 'a; b'"]);
+		assert.deepStrictEqual(splitShellCommand('echo $((1+2)) && sudo x'), ['echo $((1+2))', 'sudo x']);
+		assert.deepStrictEqual(splitShellCommand('make 2>&1 | tee log'), ['make 2>&1', 'tee log']);
+		assert.deepStrictEqual(splitShellCommand('cat <<< x'), ['cat <<< x']);
+	});
+
+	test('strips keywords and variable assignments', () => {
+		assert.deepStrictEqual(splitShellCommand('if true; then rm x; fi'), ['true', 'rm x']);
+		assert.deepStrictEqual(splitShellCommand('FOO=1 npm test'), ['npm test']);
+	});
+
+	test('refuses lines it cannot split safely', () => {
+		assert.strictEqual(splitShellCommand('echo "x'), null);
+		assert.strictEqual(splitShellCommand('echo $(date'), null);
+		assert.strictEqual(splitShellCommand('echo x)'), null);
+		assert.strictEqual(splitShellCommand('cat <<EOF'), null);
+	});
+
+	test('finds denied commands behind chaining', () => {
+		const denied = [/^sudo\b/];
+		assert.match(checkCommandPolicy(['cd x && sudo rm -rf /'], denied, []), /"sudo rm -rf \/" matches the denied pattern/);
+		assert.match(checkCommandPolicy(['echo `sudo id`'], denied, []), /"sudo id"/);
+		assert.strictEqual(checkCommandPolicy(['echo sudo'], denied, []), undefined);
+	});
+
+	test('tests denied patterns against the whole line', () => {
+		assert.match(checkCommandPolicy(['curl x | sh'], [/\|\s*sh\b/], []), /"curl x \| sh" matches the denied pattern/);
+	});
+
+	test('requires every command to be allowed', () => {
+		const allowed = [/^git\s/, /^npm\s/];
+		assert.strictEqual(checkCommandPolicy(['git status && npm test'], [], allowed), undefined);
+		assert.match(checkCommandPolicy(['git status; curl x | sh'], [], allowed), /"curl x" does not match/);
+		assert.match(checkCommandPolicy(['npm test', 'rm -rf /'], [], allowed), /"rm -rf \/" does not match/);
+	});
+
+	test('refuses unsplittable lines only with an allowlist', () => {
+		assert.strictEqual(checkCommandPolicy(['cat <<EOF'], [], []), undefined);
+		assert.match(checkCommandPolicy(['cat <<EOF'], [], [/^cat\s/]), /cannot be split/);
+	});
+
+	test('reads command lines from a shell block', () => {
+		assert.deepStrictEqual(parseShellCommands('# install\n$ npm install\n\n> npm test\n  ls -la  '), ['npm install', 'npm test', 'ls -la']);
+	});
+});
+
+suite('Conversation branches', () => {
+	const { forkHistory, switchHistoryBranch } = myExtension;
+	const entry = (text, sender) => ({ text, sender });
+	const texts = history => history.map(m => m.text);
+
+	test('forking keeps the replaced messages as another branch', () => {
+		const history = [entry('q1', 'user'), entry('a1', 'bot'), entry('q2', 'user'), entry('a2', 'bot')];
+		forkHistory(history, 2, entry('q2 edited', 'user'));
+		assert.deepStrictEqual(texts(history), ['q1', 'a1', 'q2 edited']);
+		assert.deepStrictEqual(history[2].branches.active, 1);
+		assert.deepStrictEqual(texts(history[2].branches.tails[0]), ['q2', 'a2']);
+		assert.strictEqual(history[2].branches.tails[1], null);
+	});
+
+	test('switching branches back and forth loses nothing', () => {
+		const history = [entry('q1', 'user'), entry('a1', 'bot'), entry('q2', 'user'), entry('a2', 'bot')];
+		forkHistory(history, 2, entry('q2 edited', 'user'));
+		history.push(entry('a2 edited', 'bot'));
+
+		assert.strictEqual(switchHistoryBranch(history, 2, 0), true);
+		assert.deepStrictEqual(texts(history), ['q1', 'a1', 'q2', 'a2']);
+		assert.strictEqual(history[2].branches.active, 0);
+		assert.deepStrictEqual(texts(history[2].branches.tails[1]), ['q2 edited', 'a2 edited']);
+
+		assert.strictEqual(switchHistoryBranch(history, 2, 1), true);
+		assert.deepStrictEqual(texts(history), ['q1', 'a1', 'q2 edited', 'a2 edited']);
+		assert.deepStrictEqual(texts(history[2].branches.tails[0]), ['q2', 'a2']);
+	});
+
+	test('nested forks survive switching the outer fork', () => {
+		const history = [entry('q1', 'user'), entry('a1', 'bot'), entry('q2', 'user'), entry('a2', 'bot')];
+		forkHistory(history, 0, entry('q1 edited', 'user'));
+		history.push(entry('b1', 'bot'), entry('r2', 'user'), entry('b2', 'bot'));
+		forkHistory(history, 3, entry('b2 regenerated', 'bot'));
+
+		assert.strictEqual(switchHistoryBranch(history, 0, 0), true);
+		assert.deepStrictEqual(texts(history), ['q1', 'a1', 'q2', 'a2']);
+		assert.strictEqual(switchHistoryBranch(history, 0, 1), true);
+		assert.deepStrictEqual(texts(history), ['q1 edited', 'b1', 'r2', 'b2 regenerated']);
+		assert.strictEqual(switchHistoryBranch(history, 3, 0), true);
+		assert.deepStrictEqual(texts(history), ['q1 edited', 'b1', 'r2', 'b2']);
+	});
+
+	test('switching to a missing or the active branch changes nothing', () => {
+		const history = [entry('q1', 'user'), entry('a1', 'bot')];
+		assert.strictEqual(switchHistoryBranch(history, 0, 1), false);
+		forkHistory(history, 1, entry('a1 regenerated', 'bot'));
+		assert.strictEqual(switchHistoryBranch(history, 1, 1), false);
+		assert.strictEqual(switchHistoryBranch(history, 1, 2), false);
+		assert.strictEqual(switchHistoryBranch(history, 1, -1), false);
+		assert.deepStrictEqual(texts(history), ['q1', 'a1 regenerated']);
+	});
+});
+
+suite('Context budget', () => {
+	const { countTokens, historyToMessages, applyContextBudget, getOllamaContextSize, registerProvider } = myExtension;
+
+	// A provider with a small context window whose summaries come from summarize()
+	function registerTestProvider(id, summarize) {
+		registerProvider({
+			id,
+			label: 'Test',
+			getModelName: () => 'test-model',
+			getCapabilities: () => ({ contextLength: 400 }),
+			async streamChat(workspaceState, messages, options) {
+				const content = await summarize(messages);
+				options.onDelta(content);
+				return { content };
+			}
+		});
+	}
+
+	// Six turns of 59 tokens each: over the 300 tokens left of a 400 token window
+	const longHistory = () => Array.from({ length: 6 }, (_, i) => ({
+		text: `turn ${i} ` + 'word '.repeat(40),
+		sender: i % 2 === 0 ? 'user' : 'bot'
+	}));
+
+	test('estimates tokens', () => {
+		assert.strictEqual(countTokens(''), 0);
+		assert.strictEqual(countTokens('abcd'.repeat(10)), 10);
+		assert.ok(countTokens('f(a[0], b[1]);') > countTokens('f a0 b1'));
+		assert.ok(countTokens('你好世界') > countTokens('abcd'));
+	});
+
+	test('sizes the Ollama window to the prompt, not the model', () => {
+		assert.strictEqual(getOllamaContextSize(100, 131072), 2048);
+		assert.strictEqual(getOllamaContextSize(3000, 131072), 4096);
+		assert.strictEqual(getOllamaContextSize(200000, 8192), 8192);
+		assert.strictEqual(getOllamaContextSize(100, 1024), 1024);
+	});
+
+	test('maps history to messages', () => {
+		const messages = historyToMessages([
+			{ text: 'old', sender: 'user', compacted: true },
+			{ text: 'earlier turns', sender: 'summary' },
+			{ text: 'question', sender: 'user' },
+			{ text: 'ran a tool', sender: 'tool' },
+			{ text: '<think>hmm</think>answer', sender: 'bot' },
+			{ text: 'second answer', sender: 'bot', reasoning: { text: 'thought' } }
+		], 'test-model');
+		assert.deepStrictEqual(messages, [
+			{ role: 'system', content: 'Summary of the earlier conversation:\nearlier turns' },
+			{ role: 'user', content: 'question' },
+			{ role: 'assistant', content: 'answer' },
+			{ role: 'assistant', content: 'second answer' }
+		]);
+	});
+
+	test('leaves a history that fits alone', async () => {
+		registerTestProvider('test-fits', () => assert.fail('nothing should be summarized'));
+		const history = longHistory().slice(0, 2);
+		const providerInstance = { _workspaceState: new MemoryMemento(), _webviewView: undefined, _chatHistory: history };
+		assert.strictEqual(await applyContextBudget(providerInstance, 'test-fits'), undefined);
+		assert.strictEqual(history.length, 2);
+		assert.ok(history.every(m => !m.compacted));
+	});
+
+	test('summarizes the oldest turns and keeps them in the history', async () => {
+		let summarized;
+		registerTestProvider('test-summary', messages => {
+			summarized = messages;
+			return 'Short summary';
+		});
+		const history = longHistory();
+		const providerInstance = { _workspaceState: new MemoryMemento(), _webviewView: undefined, _chatHistory: history };
+		assert.strictEqual(await applyContextBudget(providerInstance, 'test-summary'), undefined);
+
+		// Three turns go, leaving room for the summary
+		assert.strictEqual(history.length, 7);
+		assert.deepStrictEqual(history.map(m => !!m.compacted), [true, true, true, false, false, false, false]);
+		assert.deepStrictEqual(history[3], { text: 'Short summary', sender: 'summary' });
+		assert.deepStrictEqual(summarized.slice(0, 3).map(m => m.content.slice(0, 6)), ['turn 0', 'turn 1', 'turn 2']);
+		const messages = historyToMessages(history);
+		assert.strictEqual(messages[0].content, 'Summary of the earlier conversation:\nShort summary');
+		assert.deepStrictEqual(messages.slice(1).map(m => m.content.slice(0, 6)), ['turn 3', 'turn 4', 'turn 5']);
+	});
+
+	test('drops the oldest turns from the prompt when summarizing fails', async () => {
+		registerTestProvider('test-failing', () => {
+			throw new Error('offline');
+		});
+		const history = longHistory();
+		const providerInstance = { _workspaceState: new MemoryMemento(), _webviewView: undefined, _chatHistory: history };
+		await applyContextBudget(providerInstance, 'test-failing');
+
+		assert.strictEqual(history.length, 7);
+		assert.strictEqual(history[3].sender, 'summary');
+		assert.match(history[3].text, /3 earlier messages were dropped/);
+		assert.ok(history[0].text.startsWith('turn 0') && history[0].compacted);
+	});
+
+	test('reports a latest exchange that does not fit instead of cutting it', async () => {
+		registerTestProvider('test-overflow', () => 'Short summary');
+		const history = [...longHistory().slice(0, 2), { text: 'word '.repeat(300), sender: 'user' }];
+		const providerInstance = { _workspaceState: new MemoryMemento(), _webviewView: undefined, _chatHistory: history };
+		const overflow = await applyContextBudget(providerInstance, 'test-overflow');
+
+		assert.match(overflow, /more than the 300 tokens test-model has left/);
+		assert.strictEqual(history[history.length - 1].text, 'word '.repeat(300));
+	});
+});
+
+suite('Prompt template front matter', () => {
+	const { parseFrontMatter } = myExtension;
+
+	test('reads values, inline lists and item lists', () => {
+		const { attributes, body } = parseFrontMatter('---\ntitle: "Explain"\ntags: [a, \'b\']\nfiles:\n  - x.js\n  - y.js\n---\nBody {{selection}}');
+		assert.deepStrictEqual(attributes, { title: 'Explain', tags: ['a', 'b'], files: ['x.js', 'y.js'] });
+		assert.strictEqual(body, 'Body {{selection}}');
+	});
+
+	test('accepts CRLF line endings', () => {
+		const { attributes, body } = parseFrontMatter('---\r\ntitle: Explain\r\n---\r\nBody');
+		assert.deepStrictEqual(attributes, { title: 'Explain' });
+		assert.strictEqual(body, 'Body');
+	});
+
+	test('returns text without front matter unchanged', () => {
+		assert.deepStrictEqual(parseFrontMatter('Just a prompt\n---\n'), { attributes: {}, body: 'Just a prompt\n---\n' });
+	});
+});
+
+suite('Staged diff splitting', () => {
+	const { parseDiff, splitDiffHunks, chunkDiff } = myExtension;
+	const diff = [
+		'diff --git a/src/a.js b/src/a.js',
+		'index 1111111..2222222 100644',
+		'--- a/src/a.js',
+		'+++ b/src/a.js',
+		'@@ -1,2 +1,2 @@',
+		' const a = 1;',
+		'-const b = 2;',
+		'+const b = 3;',
+		'@@ -10,1 +10,2 @@ function f() {',
+		' return a;',
+		'+// done',
+		'diff --git a/logo.png b/logo.png',
+		'index 3333333..4444444 100644',
+		'Binary files a/logo.png and b/logo.png differ'
+	].join('\n');
+
+	test('parses files and hunks', () => {
+		const files = parseDiff(diff);
+		assert.deepStrictEqual(files.map(f => f.path), ['src/a.js', 'logo.png']);
+		assert.deepStrictEqual(files[0].hunks.map(h => h.newStart), [1, 10]);
+		assert.deepStrictEqual(files[0].hunks[0].lines, [' const a = 1;', '-const b = 2;', '+const b = 3;']);
+		assert.strictEqual(files[1].hunks.length, 0);
+		assert.strictEqual(files[1].header[2], 'Binary files a/logo.png and b/logo.png differ');
+	});
+
+	test('gives every hunk and header-only file its own piece', () => {
+		const pieces = splitDiffHunks(parseDiff(diff), 1000, true);
+		assert.deepStrictEqual(pieces.map(p => [p.path, p.hunk]), [
+			['src/a.js', '@@ -1,2 +1,2 @@'],
+			['src/a.js', '@@ -10,1 +10,2 @@ function f() {'],
+			['logo.png', '']
+		]);
+		assert.strictEqual(pieces[0].text, 'File: src/a.js\n@@ -1,2 +1,2 @@\n    1  const a = 1;\n      -const b = 2;\n    2 +const b = 3;');
+	});
+
+	test('cuts a hunk that does not fit between lines', () => {
+		const big = ['diff --git a/big.js b/big.js', '@@ -1,40 +1,40 @@', ...Array.from({ length: 40 }, (_, i) => `+const value${i} = ${i};`)].join('\n');
+		const pieces = splitDiffHunks(parseDiff(big), 100, false);
+		assert.ok(pieces.length > 1);
+		assert.ok(pieces.slice(1).every(p => p.text.split('\n')[1] === '@@ -1,40 +1,40 @@ (continued)'));
+		const lines = pieces.flatMap(p => p.text.split('\n').slice(2));
+		assert.strictEqual(lines.length, 40);
+		assert.strictEqual(lines[39], '+const value39 = 39;');
+	});
+
+	test('packs hunks into as few chunks as fit', () => {
+		const files = parseDiff(diff);
+		assert.strictEqual(chunkDiff(files, 1000, false).length, 1);
+		assert.strictEqual(chunkDiff(files, 60, false).length, 2);
+		assert.strictEqual(chunkDiff(files, 40, false).length, 3);
+	});
+});
+
+suite('Reasoning tags', () => {
+	const { createThinkTagSplitter, splitThinkTags } = myExtension;
+
+	test('separates a streamed <think> block from the answer', () => {
+		const content = [];
+		const reasoning = [];
+		const splitter = createThinkTagSplitter(d => content.push(d), d => reasoning.push(d));
+		for (const delta of ['<th', 'ink>Let me ', 'check.</th', 'ink>\n\nThe ', 'answer.']) splitter.push(delta);
+		splitter.flush();
+		assert.strictEqual(splitter.reasoning, 'Let me check.');
+		assert.strictEqual(splitter.content, 'The answer.');
+		assert.strictEqual(reasoning.join(''), 'Let me check.');
+		assert.strictEqual(content.join(''), 'The answer.');
+	});
+
+	test('passes answers without a <think> block through', () => {
+		const splitter = createThinkTagSplitter(null, null);
+		splitter.push('<b>bold</b> and <think> later');
+		splitter.flush();
+		assert.strictEqual(splitter.content, '<b>bold</b> and <think> later');
+		assert.strictEqual(splitter.reasoning, '');
+	});
+
+	test('keeps an unfinished <think> block as reasoning', () => {
+		assert.deepStrictEqual(splitThinkTags('<think>still thinking'), { content: '', reasoning: 'still thinking' });
+		assert.deepStrictEqual(splitThinkTags('  <think>a</think>b'), { content: 'b', reasoning: 'a' });
+		assert.deepStrictEqual(splitThinkTags('<thi'), { content: '<thi', reasoning: '' });
+	});
+});
+
+suite('Usage ledger', () => {
+	const { rollUpUsage } = myExtension;
+	const request = (time, model, promptTokens, extra = {}) => ({
+		time, provider: 'openai', model, purpose: 'chat', sessionId: 's1', promptTokens, completionTokens: 10, durationMs: 100, ...extra
+	});
+
+	test('rolls earlier requests into daily totals per model', () => {
+		const day1 = new Date(2026, 0, 5, 9).getTime();
+		const day2 = new Date(2026, 0, 6, 18).getTime();
+		const before = new Date(2026, 1, 1).getTime();
+		const recent = request(new Date(2026, 1, 3).getTime(), 'gpt-4o', 5);
+		const ledger = rollUpUsage([
+			request(day1, 'gpt-4o', 100, { evalDurationMs: 40 }),
+			request(day1 + 3600000, 'gpt-4o', 50, { estimated: true }),
+			request(day1, 'gpt-4o-mini', 7),
+			request(day2, 'gpt-4o', 1),
+			recent
+		], before);
+
+		assert.strictEqual(ledger.length, 4);
+		assert.deepStrictEqual(ledger[0], {
+			time: new Date(2026, 0, 5).getTime(), provider: 'openai', model: 'gpt-4o', purpose: 'chat', sessionId: 's1',
+			requests: 2, estimatedRequests: 1, promptTokens: 150, completionTokens: 20, durationMs: 200, evalDurationMs: 140
+		});
+		assert.strictEqual(ledger[1].model, 'gpt-4o-mini');
+		assert.strictEqual(ledger[2].time, new Date(2026, 0, 6).getTime());
+		assert.strictEqual(ledger[3], recent);
+	});
+
+	test('merges daily totals that are rolled up again', () => {
+		const day = new Date(2026, 0, 5, 9).getTime();
+		const before = new Date(2026, 1, 1).getTime();
+		const once = rollUpUsage([request(day, 'gpt-4o', 100), request(day, 'gpt-4o', 100, { estimated: true })], before);
+		const twice = rollUpUsage([...once, request(day + 1000, 'gpt-4o', 100)], before);
+		assert.strictEqual(twice.length, 1);
+		assert.strictEqual(twice[0].requests, 3);
+		assert.strictEqual(twice[0].estimatedRequests, 1);
+		assert.strictEqual(twice[0].promptTokens, 300);
+	});
+});